@@ -0,0 +1,354 @@
+// airquality.js (ES module)
+// Air quality: the AQI tile of the info panel, the "Air quality" panel
+// (current US AQI with its category, pollutant concentrations against the
+// WHO guidelines, hourly AQI forecast for the next days) and an optional AQI
+// map layer. Data: Open-Meteo air-quality API (CAMS model, no key, whatever
+// weather provider is selected); it gives the US EPA index directly, where
+// OpenWeather only has a 1-5 scale.
+import { cachedFetchJson, roundCoord } from "./cache.js";
+import { renderBarChart } from "./chart.js";
+import { t } from "./i18n.js";
+import { formatDate, locale } from "./format.js";
+
+const L = window.L;
+const API = "https://air-quality-api.open-meteo.com/v1/air-quality";
+const TTL = 3600 * 1000; // the model runs a few times a day
+const FORECAST_DAYS = 5;
+
+// US EPA categories: [upper bound, i18n key, color]
+const AQI_LEVELS = [
+  [50, "good", "#00e400"],
+  [100, "moderate", "#ffff00"],
+  [150, "sensitive", "#ff7e00"],
+  [200, "unhealthy", "#ff0000"],
+  [300, "veryUnhealthy", "#8f3f97"],
+  [Infinity, "hazardous", "#7e0023"],
+];
+
+// legend of the map layer (weatherlayers.js)
+export const AQI_LEGEND = {
+  stops: [
+    [0, "#00e400"],
+    [50, "#ffff00"],
+    [100, "#ff7e00"],
+    [150, "#ff0000"],
+    [200, "#8f3f97"],
+    [300, "#7e0023"],
+  ],
+  format: (v) => String(v),
+};
+
+// Open-Meteo variable → [label, WHO 2021 guideline in µg/m³ (24 h, O₃ 8 h)]
+const POLLUTANTS = {
+  pm2_5: ["PM2.5", 15],
+  pm10: ["PM10", 45],
+  ozone: ["O₃", 100],
+  nitrogen_dioxide: ["NO₂", 25],
+  sulphur_dioxide: ["SO₂", 40],
+  carbon_monoxide: ["CO", 4000],
+};
+
+/**
+ * { key, color } of the US AQI category of aqi.
+ */
+export function aqiLevel(aqi) {
+  const [, key, color] = AQI_LEVELS.find(([max]) => aqi <= max);
+  return { key, color };
+}
+
+export function aqiCategory(aqi) {
+  return t(`aqi.level.${aqiLevel(aqi).key}`);
+}
+
+export function formatAqi(aqi) {
+  if (aqi === null || aqi === undefined) return "–";
+  const n = Math.round(aqi);
+  return `${n} (${aqiCategory(n)})`;
+}
+
+/**
+ * Current air quality and the hourly AQI forecast at a point:
+ * { current: { dt, aqi, pm2_5, pm10, ozone, ... }, hourly: [{ dt, aqi, pm2_5 }],
+ *   tz } (concentrations in µg/m³, tz: UTC offset in seconds)
+ */
+export async function getAirQuality(lat, lon) {
+  const la = roundCoord(lat);
+  const lo = roundCoord(lon);
+  const vars = Object.keys(POLLUTANTS).join(",");
+  const d = await cachedFetchJson(
+    `${API}?latitude=${la}&longitude=${lo}&current=us_aqi,${vars}` +
+      `&hourly=us_aqi,pm2_5&forecast_days=${FORECAST_DAYS}` +
+      "&timeformat=unixtime&timezone=auto",
+    { key: `aqi:${la},${lo}`, ttl: TTL }
+  );
+  const c = d.current || {};
+  const h = d.hourly || {};
+  const current = { dt: c.time, aqi: c.us_aqi ?? null };
+  for (const v of Object.keys(POLLUTANTS)) current[v] = c[v] ?? null;
+  return {
+    current,
+    hourly: (h.time || []).map((dt, i) => ({
+      dt,
+      aqi: h.us_aqi[i],
+      pm2_5: h.pm2_5[i],
+    })),
+    tz: d.utc_offset_seconds ?? null,
+  };
+}
+
+// ---------- Info tile ----------
+let tileFor = null; // location of the latest request: older answers are dropped
+
+/**
+ * Fill the AQI tile of the info panel (#aqi_value).
+ */
+export async function showAirQuality(lat, lon) {
+  const el = document.getElementById("aqi_value");
+  if (!el) return;
+  const key = `${lat},${lon}`;
+  tileFor = key;
+  el.textContent = t("common.loading");
+  let aqi = null;
+  try {
+    ({
+      current: { aqi },
+    } = await getAirQuality(lat, lon));
+  } catch (err) {
+    console.error("showAirQuality error:", err);
+  }
+  if (tileFor !== key) return;
+  el.replaceChildren();
+  if (aqi === null) {
+    el.textContent = "–";
+    return;
+  }
+  const dot = document.createElement("i");
+  dot.className = "aqi-dot";
+  dot.style.background = aqiLevel(aqi).color;
+  el.append(dot, formatAqi(aqi));
+}
+
+// ---------- Panel ----------
+const number = (v, digits = 0) =>
+  v.toLocaleString(locale(), { maximumFractionDigits: digits });
+
+function renderSummary(box, current, tz) {
+  const { key, color } = aqiLevel(current.aqi);
+  const time = formatDate(
+    current.dt,
+    { weekday: "short", hour: "2-digit", minute: "2-digit" },
+    tz
+  );
+  box.innerHTML = `
+    <div class="aqi-badge aqi-${key}" style="background:${color}">
+      <b>${Math.round(current.aqi)}</b>
+      <span>${aqiCategory(current.aqi)}</span>
+    </div>
+    <div>
+      <div>${t(`aqi.advice.${key}`)}</div>
+      <div class="aqi-source">${t("aqi.source", { time })}</div>
+    </div>`;
+}
+
+function renderPollutants(box, current) {
+  const rows = Object.entries(POLLUTANTS)
+    .map(([v, [label, guideline]]) => {
+      const value = current[v];
+      if (value === null) return "";
+      const ratio = value / guideline;
+      return `
+      <tr class="${ratio > 1 ? "is-above" : ""}">
+        <th scope="row">${label}</th>
+        <td>${number(value, value < 10 ? 1 : 0)}</td>
+        <td>${number(guideline)}</td>
+        <td>
+          <span class="aqi-ratio"><i style="width:${Math.min(
+            100,
+            ratio * 50
+          )}%"></i></span>
+          ${number(ratio, 1)}×
+        </td>
+      </tr>`;
+    })
+    .join("");
+  box.innerHTML = `
+    <table class="compare-table aqi-table">
+      <thead><tr>
+        <th scope="col">${t("aqi.pollutant")}</th>
+        <th scope="col">${t("aqi.concentration")}</th>
+        <th scope="col">${t("aqi.guideline")}</th>
+        <th scope="col">${t("aqi.ratio")}</th>
+      </tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+    <div class="aqi-source">${t("aqi.guidelineNote")}</div>`;
+}
+
+/**
+ * Render the air quality panel (#airQuality) for a location.
+ */
+export async function renderAirQuality(lat, lon) {
+  const section = document.getElementById("airQuality");
+  const summary = document.getElementById("aqiSummary");
+  const pollutants = document.getElementById("aqiPollutants");
+  const forecast = document.getElementById("aqiForecast");
+  if (!section || !summary || !pollutants || !forecast) return;
+  section.hidden = false;
+  summary.innerHTML = t("common.loading");
+  pollutants.innerHTML = "";
+  forecast.innerHTML = "";
+
+  let data;
+  try {
+    data = await getAirQuality(lat, lon);
+  } catch (err) {
+    console.error("renderAirQuality error", err);
+    summary.innerHTML = t("aqi.error");
+    return;
+  }
+  const { current, hourly, tz } = data;
+  if (current.aqi === null) {
+    summary.innerHTML = t("common.noData");
+    return;
+  }
+
+  renderSummary(summary, current, tz);
+  renderPollutants(pollutants, current);
+
+  // hourly AQI, colored by category, from the current hour on
+  const now = Date.now() / 1000 - 3600;
+  const hourLabel = (dt) =>
+    formatDate(dt, { weekday: "short", day: "2-digit", hour: "2-digit" }, tz);
+  renderBarChart(
+    forecast,
+    hourly
+      .filter((h) => h.dt >= now)
+      .map((h) => ({
+        x: h.dt,
+        y: h.aqi ?? null,
+        color: h.aqi == null ? "#ccc" : aqiLevel(h.aqi).color,
+        title: `${hourLabel(h.dt)}: AQI ${formatAqi(h.aqi)}, PM2.5 ${
+          h.pm2_5 == null ? "–" : number(h.pm2_5, 1)
+        } µg/m³`,
+      })),
+    {
+      xFormat: (dt) => formatDate(dt, { weekday: "short", day: "2-digit" }, tz),
+      legend: AQI_LEVELS.map(([, key, color]) => ({
+        name: t(`aqi.level.${key}`),
+        color,
+      })),
+    }
+  );
+}
+
+// ---------- Map layer ----------
+const GRID_CELLS = 6; // about this many cells across the view
+const STEPS = [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 20, 45, 90];
+const wrapLon = (lon) => ((((lon + 180) % 360) + 360) % 360) - 180;
+
+/**
+ * AQI map overlay: a coarse grid over the view, one Open-Meteo request for
+ * all cells, redrawn after the map moves. Cells snap to fixed steps so panning
+ * back reuses the cache; the pane is blurred into a heat map.
+ * Has setOpacity() like a tile layer (weatherlayers.js sliders).
+ */
+export function createAqiLayer() {
+  let controller = null;
+  let timer = null;
+
+  const AqiLayer = L.LayerGroup.extend({
+    options: { opacity: 0.5 },
+
+    onAdd(map) {
+      if (!map.getPane("aqi")) {
+        map.createPane("aqi").classList.add("aqi-pane");
+        map.getPane("aqi").style.zIndex = 350; // above tiles, below markers
+      }
+      L.LayerGroup.prototype.onAdd.call(this, map);
+      map.on("moveend", this.schedule, this);
+      this.load();
+    },
+
+    onRemove(map) {
+      map.off("moveend", this.schedule, this);
+      clearTimeout(timer);
+      controller?.abort();
+      this.clearLayers();
+      L.LayerGroup.prototype.onRemove.call(this, map);
+    },
+
+    setOpacity(opacity) {
+      this.options.opacity = opacity;
+      this.eachLayer((cell) => cell.setStyle({ fillOpacity: opacity }));
+    },
+
+    schedule() {
+      clearTimeout(timer);
+      timer = setTimeout(() => this.load(), 400);
+    },
+
+    async load() {
+      const map = this._map;
+      if (!map) return;
+      const b = map.getBounds();
+      const south = Math.max(-80, b.getSouth());
+      const north = Math.min(80, b.getNorth());
+      const span = Math.max(north - south, b.getEast() - b.getWest());
+      const step =
+        STEPS.find((s) => span / s <= GRID_CELLS) || STEPS[STEPS.length - 1];
+      const cells = [];
+      for (let i = Math.floor(south / step); i * step < north; i++)
+        for (
+          let j = Math.floor(b.getWest() / step);
+          j * step < b.getEast();
+          j++
+        )
+          cells.push([i, j]);
+      if (cells.length < 2) return;
+
+      controller?.abort();
+      controller = new AbortController();
+      const { signal } = controller;
+      const center = ([i, j]) => [(i + 0.5) * step, (j + 0.5) * step];
+      const lats = cells.map((c) => center(c)[0].toFixed(3)).join(",");
+      const lons = cells.map((c) => wrapLon(center(c)[1]).toFixed(3)).join(",");
+      let results;
+      try {
+        results = await cachedFetchJson(
+          `${API}?latitude=${lats}&longitude=${lons}&current=us_aqi`,
+          {
+            key: `aqi:grid:${step}:${cells[0]}:${cells.at(-1)}`,
+            ttl: TTL,
+            signal,
+          }
+        );
+      } catch (err) {
+        if (err.name !== "AbortError") console.error("AQI layer error:", err);
+        return;
+      }
+      if (signal.aborted || !this._map) return;
+
+      this.clearLayers();
+      cells.forEach(([i, j], k) => {
+        const aqi = results[k]?.current?.us_aqi;
+        if (aqi === null || aqi === undefined) return;
+        L.rectangle(
+          [
+            [i * step, j * step],
+            [(i + 1) * step, (j + 1) * step],
+          ],
+          {
+            pane: "aqi",
+            stroke: false,
+            fillColor: aqiLevel(aqi).color,
+            fillOpacity: this.options.opacity,
+          }
+        )
+          .bindTooltip(`AQI ${formatAqi(aqi)}`, { sticky: true })
+          .addTo(this);
+      });
+    },
+  });
+
+  return new AqiLayer();
+}
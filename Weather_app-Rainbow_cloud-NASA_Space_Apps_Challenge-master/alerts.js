@@ -0,0 +1,115 @@
+// alerts.js (ES module)
+// Government weather alerts (One Call "alerts", fixture) for the selected
+// location: a dismissible banner above #info. Dismissed alerts stay hidden for
+// the browser session.
+import { getAlerts } from "./options.js";
+import { t } from "./i18n.js";
+import { formatDate } from "./format.js";
+
+const DISMISSED_KEY = "dismissedAlerts";
+
+// location currently shown, so a slow response can't overwrite a newer one
+let shownFor = null;
+
+export function alertId(a) {
+  return `${a.sender}|${a.event}|${a.start}`;
+}
+
+function loadDismissed() {
+  try {
+    return new Set(JSON.parse(sessionStorage.getItem(DISMISSED_KEY)) || []);
+  } catch (_) {
+    return new Set();
+  }
+}
+
+function dismiss(id) {
+  const ids = loadDismissed();
+  ids.add(id);
+  try {
+    sessionStorage.setItem(DISMISSED_KEY, JSON.stringify([...ids]));
+  } catch (_) {}
+}
+
+const WHEN = {
+  weekday: "short",
+  day: "2-digit",
+  month: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+};
+
+function alertItem(a, tz, onDismiss) {
+  const item = document.createElement("article");
+  item.className = "alert-item";
+
+  const head = document.createElement("div");
+  head.className = "alert-head";
+  const title = document.createElement("strong");
+  title.textContent = `⚠️ ${a.event}`;
+  const close = document.createElement("button");
+  close.type = "button";
+  close.className = "alert-dismiss";
+  close.textContent = "×";
+  close.title = t("alerts.dismiss");
+  close.setAttribute("aria-label", t("alerts.dismiss"));
+  close.addEventListener("click", onDismiss);
+  head.append(title, close);
+
+  const meta = document.createElement("div");
+  meta.className = "alert-meta";
+  meta.textContent = [
+    a.sender ? t("alerts.sender", { sender: a.sender }) : null,
+    t("alerts.validity", {
+      start: formatDate(a.start, WHEN, tz),
+      end: formatDate(a.end, WHEN, tz),
+    }),
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+  const desc = document.createElement("p");
+  desc.className = "alert-desc";
+  desc.textContent = a.description;
+
+  item.append(head, meta, desc);
+  return item;
+}
+
+/**
+ * Render alerts into #alertBanner (hidden when none are left to show).
+ * tz: the location's UTC offset in seconds for the validity window.
+ */
+export function renderAlerts(alerts, tz) {
+  const banner = document.getElementById("alertBanner");
+  if (!banner) return;
+  const dismissed = loadDismissed();
+  const visible = alerts.filter((a) => !dismissed.has(alertId(a)));
+  banner.innerHTML = "";
+  banner.hidden = !visible.length;
+  if (!visible.length) return;
+
+  const heading = document.createElement("div");
+  heading.className = "alert-title";
+  heading.textContent = t("alerts.title", { count: visible.length });
+  banner.appendChild(heading);
+  for (const a of visible) {
+    banner.appendChild(
+      alertItem(a, tz, () => {
+        dismiss(alertId(a));
+        renderAlerts(alerts, tz);
+      })
+    );
+  }
+}
+
+/**
+ * Fetch and show the alerts of a location (errors leave the banner empty).
+ */
+export async function showAlerts(lat, lon, tz) {
+  const key = `${lat},${lon}`;
+  shownFor = key;
+  const alerts = await getAlerts(lat, lon);
+  if (shownFor !== key) return;
+  renderAlerts(alerts, tz);
+}
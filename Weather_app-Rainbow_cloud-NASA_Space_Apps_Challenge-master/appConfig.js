@@ -0,0 +1,31 @@
+// appConfig.js (ES module)
+// Đọc config.js nếu có. config.js là file cá nhân (chứa API key) nên có thể
+// không tồn tại: khi đó app vẫn chạy với provider không cần key.
+const userConfig = await import("./config.js").catch(() => ({}));
+
+export const apiKey = userConfig.apiKey || "";
+
+// OpenWeather API root. server/server.mjs serves a config.js with
+// apiBase = "/api/owm": requests go through it and it adds the key.
+export const apiBase = userConfig.apiBase || "https://api.openweathermap.org";
+export const hasOpenWeather = Boolean(apiKey || userConfig.apiBase);
+
+// Weather provider used when none was picked at runtime
+export const defaultProvider =
+  userConfig.provider || (hasOpenWeather ? "openweather" : "openmeteo");
+
+// Map tiles. {layer} is the OpenWeather layer name ("precipitation_new", ...);
+// point these at a local tile server for testing. weatherTileUrls overrides
+// single overlays by id (precipitation, clouds, temp, wind, pressure).
+export const baseTileUrl =
+  userConfig.baseTileUrl ||
+  "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png";
+export const weatherTileUrl =
+  userConfig.weatherTileUrl ||
+  "https://tile.openweathermap.org/map/{layer}/{z}/{x}/{y}.png?appid={apiKey}";
+export const weatherTileUrls = userConfig.weatherTileUrls || {};
+
+// RainViewer frame list for the radar time slider
+export const radarMapsUrl =
+  userConfig.radarMapsUrl ||
+  "https://api.rainviewer.com/public/weather-maps.json";
@@ -0,0 +1,293 @@
+// autocomplete.js (ES module)
+// Location search box: an ARIA combobox over a listbox of suggestions.
+// Requests are debounced and the previous one is aborted, so a slow answer
+// never replaces a newer one. Arrow keys move through the options, Enter
+// picks, Escape closes (or clears). "10.8, 106.7" style input goes straight
+// to the point without geocoding.
+import { t } from "./i18n.js";
+
+const DEBOUNCE_MS = 250;
+
+const NUM = "([-+]?\\d{1,3}(?:[.,]\\d+)?)\\s*°?\\s*([NSEW])?";
+const COORDS = new RegExp(`^${NUM}\\s*[,;\\s]\\s*${NUM}$`, "i");
+
+/**
+ * "10.8, 106.7", "10.8 106.7", "10.8°N 106.7°E", "33.9 S; 18.4 E"
+ * → { lat, lon }, or null when the text is not a coordinate pair.
+ * Decimal commas only work with a ";" or space separator ("10,8; 106,7").
+ */
+export function parseCoordinates(text) {
+  const m = String(text).trim().match(COORDS);
+  if (!m) return null;
+  const value = (n, hemi) => {
+    const v = Number(n.replace(",", "."));
+    return /[SW]/i.test(hemi || "") ? -Math.abs(v) : v;
+  };
+  let lat = value(m[1], m[2]);
+  let lon = value(m[3], m[4]);
+  // "106.7°E 10.8°N": hemispheres say which one is the longitude
+  if (/[EW]/i.test(m[2] || "") && /[NS]/i.test(m[4] || ""))
+    [lat, lon] = [lon, lat];
+  if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+  return { lat, lon };
+}
+
+// text with the first case-insensitive match of query wrapped in <mark>
+function highlighted(text, query) {
+  const frag = document.createDocumentFragment();
+  const i = query ? text.toLowerCase().indexOf(query.toLowerCase()) : -1;
+  if (i < 0) {
+    frag.append(text);
+    return frag;
+  }
+  const mark = document.createElement("mark");
+  mark.textContent = text.slice(i, i + query.length);
+  frag.append(text.slice(0, i), mark, text.slice(i + query.length));
+  return frag;
+}
+
+export function placeText(place) {
+  return [place.name, place.state, place.country].filter(Boolean).join(", ");
+}
+
+/**
+ * Turn input into a combobox.
+ *   search(query, { signal }) → Place[] (geocoding)
+ *   saved(query) → [{ title, icon, places }] sections shown above the results
+ *     (all of them while the box is empty)
+ *   onPick(place), onPoint(lat, lon): a suggestion / coordinates were chosen
+ */
+export function createAutocomplete(input, { search, saved, onPick, onPoint }) {
+  const listbox = document.createElement("div");
+  listbox.id = `${input.id}-listbox`;
+  listbox.className = "suggestions";
+  listbox.setAttribute("role", "listbox");
+  listbox.hidden = true;
+  input.parentNode.appendChild(listbox);
+
+  input.setAttribute("role", "combobox");
+  input.setAttribute("aria-autocomplete", "list");
+  input.setAttribute("aria-controls", listbox.id);
+  input.setAttribute("aria-expanded", "false");
+
+  let options = []; // [{ el, action, result }] (result: a geocoded match)
+  let active = -1;
+  let timer = null;
+  let controller = null;
+  let query = "";
+
+  function setActive(i) {
+    if (options[active])
+      options[active].el.setAttribute("aria-selected", "false");
+    active = i;
+    const opt = options[active];
+    if (!opt) {
+      input.removeAttribute("aria-activedescendant");
+      return;
+    }
+    opt.el.setAttribute("aria-selected", "true");
+    input.setAttribute("aria-activedescendant", opt.el.id);
+    opt.el.scrollIntoView({ block: "nearest" });
+  }
+
+  function close() {
+    clearTimeout(timer);
+    timer = null;
+    controller?.abort();
+    listbox.hidden = true;
+    listbox.replaceChildren();
+    options = [];
+    setActive(-1);
+    input.setAttribute("aria-expanded", "false");
+  }
+
+  function addOption(parent, text, icon, action, result = false) {
+    const el = document.createElement("div");
+    el.id = `${listbox.id}-${options.length}`;
+    el.setAttribute("role", "option");
+    el.setAttribute("aria-selected", "false");
+    if (icon) el.append(`${icon} `);
+    el.append(highlighted(text, query));
+    parent.appendChild(el);
+    options.push({ el, action, result });
+  }
+
+  function addGroup(title) {
+    const group = document.createElement("div");
+    group.setAttribute("role", "group");
+    if (title) {
+      const head = document.createElement("div");
+      head.id = `${listbox.id}-g${listbox.childElementCount}`;
+      head.className = "suggestions-head";
+      head.setAttribute("role", "presentation");
+      head.textContent = title;
+      group.setAttribute("aria-labelledby", head.id);
+      group.appendChild(head);
+    }
+    listbox.appendChild(group);
+    return group;
+  }
+
+  // point: parsed coordinates, results: geocoded places (null while loading)
+  function render(point, results) {
+    listbox.replaceChildren();
+    options = [];
+    active = -1;
+    input.removeAttribute("aria-activedescendant");
+
+    if (point) {
+      const text = t("search.goTo", {
+        lat: point.lat.toFixed(4),
+        lon: point.lon.toFixed(4),
+      });
+      addOption(addGroup(), text, "📍", () => onPoint(point.lat, point.lon));
+    }
+    const sections = saved(query).filter((s) => s.places.length);
+    for (const { title, icon, places } of sections) {
+      const group = addGroup(title);
+      for (const place of places)
+        addOption(group, placeText(place), icon, () => onPick(place));
+    }
+    if (results?.length) {
+      const group = addGroup(sections.length ? t("search.results") : "");
+      for (const place of results)
+        addOption(group, placeText(place), "", () => onPick(place), true);
+    } else if (query && !point) {
+      const note = document.createElement("div");
+      note.className = "suggestions-note";
+      note.textContent = results ? t("search.noResults") : t("common.loading");
+      listbox.appendChild(note);
+    }
+
+    const open = listbox.childElementCount > 0;
+    listbox.hidden = !open;
+    input.setAttribute("aria-expanded", String(open));
+  }
+
+  // true when the results were rendered (not superseded)
+  async function lookup() {
+    timer = null;
+    controller?.abort();
+    controller = new AbortController();
+    const { signal } = controller;
+    const q = query;
+    let results = [];
+    try {
+      results = await search(q, { signal });
+    } catch (err) {
+      if (err.name !== "AbortError") console.error("Autocomplete error:", err);
+    }
+    // a newer keystroke (or close) made this answer stale
+    if (signal.aborted || q !== query) return false;
+    render(null, results);
+    return true;
+  }
+
+  function update() {
+    clearTimeout(timer);
+    controller?.abort();
+    query = input.value.trim();
+    const point = parseCoordinates(query);
+    if (!query || point) {
+      render(point, []);
+      return;
+    }
+    render(null, null);
+    timer = setTimeout(lookup, DEBOUNCE_MS);
+  }
+
+  // Enter without an active option takes the first search result, never a
+  // saved place listed above it
+  function chooseFirstResult() {
+    choose(options.findIndex((o) => o.result));
+  }
+
+  function choose(i) {
+    const opt = options[i];
+    if (!opt) return;
+    close();
+    opt.action();
+  }
+
+  input.addEventListener("input", update);
+  input.addEventListener("focus", () => {
+    if (listbox.hidden) update();
+  });
+
+  input.addEventListener("keydown", (e) => {
+    const n = options.length;
+    switch (e.key) {
+      case "ArrowDown":
+      case "ArrowUp":
+        e.preventDefault();
+        if (listbox.hidden) {
+          update();
+          return;
+        }
+        if (!n) return;
+        if (e.key === "ArrowDown") setActive(active < n - 1 ? active + 1 : 0);
+        else setActive(active > 0 ? active - 1 : n - 1);
+        break;
+      case "Home":
+      case "End":
+        if (listbox.hidden || active < 0 || !n) return;
+        e.preventDefault();
+        setActive(e.key === "Home" ? 0 : n - 1);
+        break;
+      case "Enter": {
+        e.preventDefault();
+        const point = parseCoordinates(input.value);
+        if (active >= 0) choose(active);
+        else if (point) {
+          close();
+          onPoint(point.lat, point.lon);
+        } else if (!timer && options.some((o) => o.result)) chooseFirstResult();
+        else if (input.value.trim()) {
+          // typed faster than the debounce (or still loading): search now,
+          // take the first hit
+          clearTimeout(timer);
+          query = input.value.trim();
+          lookup().then((done) => done && chooseFirstResult());
+        }
+        break;
+      }
+      case "Escape":
+        if (!listbox.hidden) {
+          e.preventDefault();
+          close();
+        } else if (input.value) {
+          e.preventDefault();
+          input.value = "";
+        }
+        break;
+      case "Tab":
+        close();
+        break;
+    }
+  });
+
+  // keep the focus in the input while clicking an option
+  listbox.addEventListener("mousedown", (e) => e.preventDefault());
+  listbox.addEventListener("click", (e) => {
+    const el = e.target.closest('[role="option"]');
+    if (el) choose(options.findIndex((o) => o.el === el));
+  });
+  listbox.addEventListener("mousemove", (e) => {
+    const el = e.target.closest('[role="option"]');
+    const i = options.findIndex((o) => o.el === el);
+    if (el && i !== active) setActive(i);
+  });
+
+  // When clicking outside, hide suggestions
+  document.addEventListener("click", (e) => {
+    if (!input.parentNode.contains(e.target)) close();
+  });
+  // re-render (labels, favorites) when something changed while open
+  const refresh = () => {
+    if (!listbox.hidden && document.activeElement === input) update();
+  };
+  window.addEventListener("settingschange", refresh);
+  window.addEventListener("favoriteschange", refresh);
+
+  return { close };
+}
@@ -0,0 +1,199 @@
+// cache.js (ES module)
+// Shared request layer: coalesces in-flight requests, caches JSON responses
+// with a TTL (memory + IndexedDB) and remembers which API tier works.
+// Without network the last stored response is served past its TTL (offline
+// mode); oldestStale() tells the UI how old that data is.
+
+const DB_NAME = "weather-cache";
+const STORE = "responses";
+const MAX_AGE = 7 * 24 * 3600 * 1000; // entries older than this are pruned
+const TIER_RETRY = 24 * 3600 * 1000; // re-probe better tiers once a day
+
+const memory = new Map(); // key → { data, fetchedAt }
+const inflight = new Map(); // key → { promise, controller, callers }
+const stale = new Map(); // key → fetchedAt of an expired entry served offline
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      if (!("indexedDB" in window)) return resolve(null);
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore(STORE, { keyPath: "key" });
+      };
+      req.onsuccess = () => resolve(req.result);
+      // private mode / blocked storage: run with the memory cache only
+      req.onerror = () => resolve(null);
+    });
+  }
+  return dbPromise;
+}
+
+async function idbGet(key) {
+  const db = await openDb();
+  if (!db) return null;
+  return new Promise((resolve) => {
+    const req = db.transaction(STORE).objectStore(STORE).get(key);
+    req.onsuccess = () => resolve(req.result || null);
+    req.onerror = () => resolve(null);
+  });
+}
+
+async function idbPut(entry) {
+  const db = await openDb();
+  if (!db) return;
+  db.transaction(STORE, "readwrite").objectStore(STORE).put(entry);
+}
+
+// Drop entries nobody has refreshed for a week
+async function prune() {
+  const db = await openDb();
+  if (!db) return;
+  const store = db.transaction(STORE, "readwrite").objectStore(STORE);
+  store.openCursor().onsuccess = (e) => {
+    const cursor = e.target.result;
+    if (!cursor) return;
+    if (Date.now() - cursor.value.fetchedAt > MAX_AGE) cursor.delete();
+    cursor.continue();
+  };
+}
+prune();
+
+/**
+ * Round a coordinate for cache keys (2 decimals ≈ 1 km).
+ * Callers should also request the rounded point so key and URL agree.
+ */
+export function roundCoord(v) {
+  return Math.round(v * 100) / 100;
+}
+
+// "cachestatus" on window whenever the set of stale entries on screen changes
+function setStale(key, fetchedAt) {
+  const changed =
+    fetchedAt === null ? stale.delete(key) : stale.get(key) !== fetchedAt;
+  if (fetchedAt !== null) stale.set(key, fetchedAt);
+  if (changed) window.dispatchEvent(new CustomEvent("cachestatus"));
+}
+
+/**
+ * Time (ms) of the oldest expired response served because the network was
+ * down, or null when everything came fresh.
+ */
+export function oldestStale() {
+  return stale.size ? Math.min(...stale.values()) : null;
+}
+
+/**
+ * Fetch JSON through the cache.
+ * key: cache key (e.g. "owm:onecall:10.8,106.7"), ttl: milliseconds.
+ * Concurrent calls with the same key share one request. Failed responses are
+ * not cached; they reject with an Error carrying the HTTP `status`. A network
+ * error (offline) falls back to the stored entry of up to MAX_AGE.
+ * signal: AbortSignal for requests that a newer one makes useless
+ * (autocomplete, map panning); an aborted call rejects with an AbortError.
+ * The shared request is cancelled only when every caller has aborted; a
+ * caller without a signal keeps it running.
+ */
+export async function cachedFetchJson(
+  url,
+  { key = url, ttl = 600000, signal } = {}
+) {
+  if (signal?.aborted) throw abortError(signal);
+  const hit = memory.get(key);
+  if (hit && Date.now() - hit.fetchedAt < ttl) return hit.data;
+  const running = inflight.get(key);
+  if (running) return subscribe(key, running, signal);
+
+  const controller = new AbortController();
+  const promise = (async () => {
+    const stored = await idbGet(key);
+    if (stored && Date.now() - stored.fetchedAt < ttl) {
+      memory.set(key, stored);
+      return stored.data;
+    }
+    let r;
+    try {
+      r = await fetch(url, { signal: controller.signal });
+    } catch (err) {
+      if (!stored || err.name === "AbortError") throw err;
+      memory.set(key, stored);
+      setStale(key, stored.fetchedAt);
+      return stored.data;
+    }
+    if (!r.ok) {
+      const err = new Error(`HTTP ${r.status} for ${key}`);
+      err.status = r.status;
+      throw err;
+    }
+    const data = await r.json();
+    const entry = { key, data, fetchedAt: Date.now() };
+    memory.set(key, entry);
+    idbPut(entry);
+    setStale(key, null);
+    return data;
+  })();
+
+  const entry = { promise, controller, callers: 0 };
+  const done = () => {
+    if (inflight.get(key) === entry) inflight.delete(key);
+  };
+  inflight.set(key, entry);
+  promise.then(done, done);
+  return subscribe(key, entry, signal);
+}
+
+function abortError(signal) {
+  return signal.reason ?? new DOMException("Aborted", "AbortError");
+}
+
+// One caller of a shared request: its result, or an AbortError as soon as
+// the caller's signal fires. The last caller to abort cancels the request
+// (callers without a signal never leave, so it runs to the end for them).
+function subscribe(key, entry, signal) {
+  entry.callers++;
+  if (!signal) return entry.promise;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      reject(abortError(signal));
+      if (--entry.callers > 0) return;
+      // a later call with the same key starts a fresh request
+      if (inflight.get(key) === entry) inflight.delete(key);
+      entry.controller.abort();
+    };
+    signal.addEventListener("abort", onAbort, { once: true });
+    entry.promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener("abort", onAbort));
+  });
+}
+
+/**
+ * Ordered API tiers, starting at the one that last worked for this group.
+ * e.g. tiersFor("owm", ["3.0", "2.5", "3h"]) → ["2.5", "3h"] when 3.0
+ * failed before. After TIER_RETRY the full list is probed again.
+ */
+export function tiersFor(group, tiers) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(`apiTier:${group}`));
+    if (saved && Date.now() - saved.at < TIER_RETRY) {
+      const i = tiers.indexOf(saved.tier);
+      if (i >= 0) return tiers.slice(i);
+    }
+  } catch (_) {}
+  return tiers;
+}
+
+export function rememberTier(group, tier) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(`apiTier:${group}`));
+    // keep the original timestamp so the retry window still runs out
+    if (saved && saved.tier === tier && Date.now() - saved.at < TIER_RETRY)
+      return;
+    localStorage.setItem(
+      `apiTier:${group}`,
+      JSON.stringify({ tier, at: Date.now() })
+    );
+  } catch (_) {}
+}
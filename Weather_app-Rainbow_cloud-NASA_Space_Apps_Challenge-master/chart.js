@@ -0,0 +1,229 @@
+// chart.js (ES module)
+// Tiny SVG line and bar charts used by the comparison panels (no external library)
+import { t } from "./i18n.js";
+import { escapeHtml } from "./format.js";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+/** SVG element with attributes (also used by hourlychart.js) */
+export function svgEl(name, attrs = {}) {
+  const node = document.createElementNS(SVG_NS, name);
+  for (const [k, v] of Object.entries(attrs)) node.setAttribute(k, v);
+  return node;
+}
+
+/**
+ * Draw one or more line series into container (replaces its content).
+ * series: [{ name, color, points: [{ x, y }], dashed? }]
+ * options: { width, height, xFormat(x) → string, yUnit }
+ * x is usually a unix timestamp (seconds); points with null y are skipped.
+ */
+export function renderLineChart(container, series, options = {}) {
+  const width = options.width || 640;
+  const height = options.height || 220;
+  const pad = { top: 12, right: 12, bottom: 28, left: 40 };
+  const xFormat = options.xFormat || ((x) => String(x));
+  const yUnit = options.yUnit || "";
+
+  const all = series.flatMap((s) => s.points).filter((p) => p.y != null);
+  container.innerHTML = "";
+  if (!all.length) {
+    container.textContent = t("common.noData");
+    return;
+  }
+
+  const xMin = Math.min(...all.map((p) => p.x));
+  const xMax = Math.max(...all.map((p) => p.x));
+  let yMin = Math.floor(Math.min(...all.map((p) => p.y)));
+  let yMax = Math.ceil(Math.max(...all.map((p) => p.y)));
+  if (yMin === yMax) {
+    yMin -= 1;
+    yMax += 1;
+  }
+  const sx = (x) =>
+    pad.left +
+    ((x - xMin) / (xMax - xMin || 1)) * (width - pad.left - pad.right);
+  const sy = (y) =>
+    pad.top +
+    (1 - (y - yMin) / (yMax - yMin)) * (height - pad.top - pad.bottom);
+
+  const svg = svgEl("svg", {
+    viewBox: `0 0 ${width} ${height}`,
+    class: "line-chart",
+    role: "img",
+  });
+
+  // horizontal grid + y labels
+  const ySteps = 4;
+  for (let i = 0; i <= ySteps; i++) {
+    const y = yMin + ((yMax - yMin) * i) / ySteps;
+    svg.appendChild(
+      svgEl("line", {
+        x1: pad.left,
+        x2: width - pad.right,
+        y1: sy(y),
+        y2: sy(y),
+        class: "grid",
+      })
+    );
+    const label = svgEl("text", {
+      x: pad.left - 6,
+      y: sy(y) + 4,
+      class: "ylab",
+    });
+    label.textContent = `${Math.round(y * 10) / 10}${yUnit}`;
+    svg.appendChild(label);
+  }
+
+  // x labels (at most 6)
+  const xs = [...new Set(all.map((p) => p.x))].sort((a, b) => a - b);
+  const every = Math.max(1, Math.ceil(xs.length / 6));
+  xs.forEach((x, i) => {
+    if (i % every) return;
+    const label = svgEl("text", { x: sx(x), y: height - 8, class: "xlab" });
+    label.textContent = xFormat(x);
+    svg.appendChild(label);
+  });
+
+  for (const s of series) {
+    const pts = s.points.filter((p) => p.y != null);
+    if (!pts.length) continue;
+    const d = pts
+      .map(
+        (p, i) => `${i ? "L" : "M"}${sx(p.x).toFixed(1)},${sy(p.y).toFixed(1)}`
+      )
+      .join(" ");
+    const path = svgEl("path", {
+      d,
+      fill: "none",
+      stroke: s.color,
+      "stroke-width": 2,
+    });
+    if (s.dashed) path.setAttribute("stroke-dasharray", "5 4");
+    const title = svgEl("title");
+    title.textContent = s.name;
+    path.appendChild(title);
+    svg.appendChild(path);
+  }
+
+  const legend = document.createElement("div");
+  legend.className = "chart-legend";
+  legend.innerHTML = series
+    .map(
+      (s) =>
+        `<span><i style="background:${s.color}"></i>${escapeHtml(
+          s.name
+        )}</span>`
+    )
+    .join("");
+
+  container.appendChild(svg);
+  container.appendChild(legend);
+}
+
+/**
+ * Draw bars around a zero line into container (replaces its content), e.g.
+ * anomalies. bars: [{ x, y, color, title }] in order, one slot each;
+ * options: { width, height, xFormat(x) → string, yUnit, legend: [{ name, color }] }
+ */
+export function renderBarChart(container, bars, options = {}) {
+  const width = options.width || 640;
+  const height = options.height || 220;
+  const pad = { top: 12, right: 12, bottom: 28, left: 40 };
+  const xFormat = options.xFormat || ((x) => String(x));
+  const yUnit = options.yUnit || "";
+
+  const shown = bars.filter((b) => b.y != null);
+  container.innerHTML = "";
+  if (!shown.length) {
+    container.textContent = t("common.noData");
+    return;
+  }
+
+  let yMin = Math.min(0, Math.floor(Math.min(...shown.map((b) => b.y))));
+  let yMax = Math.max(0, Math.ceil(Math.max(...shown.map((b) => b.y))));
+  if (yMin === yMax) yMax += 1;
+  const slot = (width - pad.left - pad.right) / bars.length;
+  const sx = (i) => pad.left + i * slot;
+  const sy = (y) =>
+    pad.top +
+    (1 - (y - yMin) / (yMax - yMin)) * (height - pad.top - pad.bottom);
+
+  const svg = svgEl("svg", {
+    viewBox: `0 0 ${width} ${height}`,
+    class: "line-chart bar-chart",
+    role: "img",
+  });
+
+  const ySteps = 4;
+  for (let i = 0; i <= ySteps; i++) {
+    const y = yMin + ((yMax - yMin) * i) / ySteps;
+    svg.appendChild(
+      svgEl("line", {
+        x1: pad.left,
+        x2: width - pad.right,
+        y1: sy(y),
+        y2: sy(y),
+        class: "grid",
+      })
+    );
+    const label = svgEl("text", {
+      x: pad.left - 6,
+      y: sy(y) + 4,
+      class: "ylab",
+    });
+    label.textContent = `${Math.round(y * 10) / 10}${yUnit}`;
+    svg.appendChild(label);
+  }
+
+  const every = Math.max(1, Math.ceil(bars.length / 8));
+  bars.forEach((b, i) => {
+    if (b.y != null) {
+      const rect = svgEl("rect", {
+        x: (sx(i) + slot * 0.15).toFixed(1),
+        y: sy(Math.max(0, b.y)).toFixed(1),
+        width: (slot * 0.7).toFixed(1),
+        height: Math.max(1, Math.abs(sy(b.y) - sy(0))).toFixed(1),
+        fill: b.color,
+      });
+      if (b.title) {
+        const title = svgEl("title");
+        title.textContent = b.title;
+        rect.appendChild(title);
+      }
+      svg.appendChild(rect);
+    }
+    if (i % every) return;
+    const label = svgEl("text", {
+      x: sx(i) + slot / 2,
+      y: height - 8,
+      class: "xlab",
+    });
+    label.textContent = xFormat(b.x);
+    svg.appendChild(label);
+  });
+  svg.appendChild(
+    svgEl("line", {
+      x1: pad.left,
+      x2: width - pad.right,
+      y1: sy(0),
+      y2: sy(0),
+      class: "zero",
+    })
+  );
+
+  container.appendChild(svg);
+  if (options.legend) {
+    const legend = document.createElement("div");
+    legend.className = "chart-legend";
+    legend.innerHTML = options.legend
+      .map(
+        (s) =>
+          `<span><i style="background:${s.color}"></i>${escapeHtml(
+            s.name
+          )}</span>`
+      )
+      .join("");
+    container.appendChild(legend);
+  }
+}
@@ -0,0 +1,127 @@
+// comfort.js (ES module)
+// Thermal comfort behind the "Comfort" bars: heat index when hot and humid,
+// wind chill when cold and windy, Steadman's apparent temperature otherwise.
+// Inputs in the normalized units (°C, %, m/s).
+import { t } from "./i18n.js";
+import { formatTemp, formatWind } from "./format.js";
+
+/**
+ * NWS heat index (Rothfusz regression with the low-humidity / high-humidity
+ * adjustments). Meaningful from about 27°C; returns °C.
+ */
+export function heatIndex(tC, rh) {
+  const T = (tC * 9) / 5 + 32;
+  let hi = 0.5 * (T + 61 + (T - 68) * 1.2 + rh * 0.094);
+  if (hi >= 80) {
+    hi =
+      -42.379 +
+      2.04901523 * T +
+      10.14333127 * rh -
+      0.22475541 * T * rh -
+      0.00683783 * T * T -
+      0.05481717 * rh * rh +
+      0.00122874 * T * T * rh +
+      0.00085282 * T * rh * rh -
+      0.00000199 * T * T * rh * rh;
+    if (rh < 13 && T <= 112)
+      hi -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(T - 95)) / 17);
+    else if (rh > 85 && T <= 87) hi += ((rh - 85) / 10) * ((87 - T) / 5);
+  }
+  return ((hi - 32) * 5) / 9;
+}
+
+/**
+ * Wind chill (Environment Canada / NWS 2001), for T ≤ 10°C and wind > 4.8 km/h.
+ */
+export function windChill(tC, windMs) {
+  const v = Math.pow(windMs * 3.6, 0.16);
+  return 13.12 + 0.6215 * tC - 11.37 * v + 0.3965 * tC * v;
+}
+
+/**
+ * Steadman apparent temperature (shade, as used by the Australian BoM).
+ */
+export function apparentTemperature(tC, rh, windMs) {
+  const e = (rh / 100) * 6.105 * Math.exp((17.27 * tC) / (237.7 + tC));
+  return tC + 0.33 * e - 0.7 * windMs - 4;
+}
+
+// feels-like °C upper bounds → level (5 = comfortable, 1 = dangerous)
+// and whether the stress is cold or heat
+const BANDS = [
+  [0, 1, "cold"],
+  [10, 2, "cold"],
+  [15, 3, "cold"],
+  [18, 4, "cold"],
+  [24, 5, null],
+  [27, 4, "heat"],
+  [32, 3, "heat"],
+  [39, 2, "heat"],
+  [Infinity, 1, "heat"],
+];
+
+// bar color per level
+export const COMFORT_COLORS = {
+  1: "#e53935",
+  2: "#fb8c00",
+  3: "#fdd835",
+  4: "#9ccc65",
+  5: "#43a047",
+};
+
+/**
+ * Comfort of { temp, humidity, wind_speed }.
+ * Returns { value (feels-like °C), method, level 1-5, stress ("cold"/"heat"/null),
+ * color } — method is "heatIndex", "windChill", "apparent" or "temperature"
+ * (no humidity available).
+ */
+export function comfortIndex({ temp, humidity, wind_speed }) {
+  const wind = wind_speed ?? 0;
+  let method;
+  let value;
+  if (temp >= 27 && humidity != null && humidity >= 40) {
+    method = "heatIndex";
+    value = Math.max(temp, heatIndex(temp, humidity));
+  } else if (temp <= 10 && wind * 3.6 > 4.8) {
+    method = "windChill";
+    value = Math.min(temp, windChill(temp, wind));
+  } else if (humidity != null) {
+    method = "apparent";
+    value = apparentTemperature(temp, humidity, wind);
+  } else {
+    method = "temperature";
+    value = temp;
+  }
+  const [, level, stress] = BANDS.find(([max]) => value < max);
+  return { value, method, level, stress, color: COMFORT_COLORS[level] };
+}
+
+/**
+ * Short label, e.g. "Hot – caution"
+ */
+export function comfortLabel(c) {
+  return t(`comfort.${c.stress || "ok"}.${c.level}`);
+}
+
+/**
+ * Tooltip text explaining how the score was computed.
+ */
+export function comfortTooltip(c, input) {
+  return t("comfort.tooltip", {
+    label: comfortLabel(c),
+    value: formatTemp(c.value),
+    method: t(`comfort.method.${c.method}`),
+    temp: formatTemp(input.temp),
+    humidity: input.humidity != null ? `${Math.round(input.humidity)}%` : "–",
+    wind: formatWind(input.wind_speed ?? 0),
+  });
+}
+
+/**
+ * Paint bars (5 elements): the first `level` in the level color.
+ */
+export function paintComfortBars(bars, c) {
+  bars.forEach((b, i) => {
+    b.style.background = i < c.level ? c.color : "#ddd";
+  });
+}
@@ -0,0 +1,244 @@
+// compare.js (ES module)
+// Pinned locations compared side by side: current conditions, climate type,
+// elevation, overlaid 24h temperature and 10-day min/max
+import { getCurrentWeather } from "./script.js";
+import { getForecast10Days, getHourly24 } from "./options.js";
+import { renderLineChart } from "./chart.js";
+import { t, translateDescription } from "./i18n.js";
+import {
+  convert,
+  formatTemp,
+  formatWind,
+  formatPrecip,
+  formatElevation,
+  formatTime,
+  formatDate,
+  formatUvi,
+  escapeHtml,
+} from "./format.js";
+
+const STORAGE_KEY = "comparePins";
+export const MAX_PINS = 6;
+// one color per pin, shared by its map marker, table column and chart lines
+const COLORS = [
+  "#e4572e",
+  "#2e86ab",
+  "#76b041",
+  "#a23b72",
+  "#f18f01",
+  "#17bebb",
+];
+
+function loadPins() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+let pins = loadPins();
+
+// persist + tell the map (markers) and the open panel to redraw
+function pinsChanged() {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(pins));
+  } catch (_) {}
+  window.dispatchEvent(new CustomEvent("pinschange", { detail: getPins() }));
+}
+
+export function pinId(lat, lon) {
+  return `${lat.toFixed(3)},${lon.toFixed(3)}`;
+}
+
+export function getPins() {
+  return pins.slice();
+}
+
+export function isPinned(lat, lon) {
+  const id = pinId(lat, lon);
+  return pins.some((p) => p.id === id);
+}
+
+/**
+ * Pin a location: { lat, lon, name, country, climateType, elevation }.
+ * Returns false when MAX_PINS locations are already pinned.
+ */
+export function addPin(place) {
+  const id = pinId(place.lat, place.lon);
+  if (pins.some((p) => p.id === id)) return true;
+  if (pins.length >= MAX_PINS) return false;
+  const used = new Set(pins.map((p) => p.color));
+  const color = COLORS.find((c) => !used.has(c)) || COLORS[0];
+  pins.push({ ...place, id, color });
+  pinsChanged();
+  return true;
+}
+
+export function removePin(id) {
+  const before = pins.length;
+  pins = pins.filter((p) => p.id !== id);
+  if (pins.length !== before) pinsChanged();
+}
+
+export function clearPins() {
+  pins = [];
+  pinsChanged();
+}
+
+// Everything the table and charts need for one pin; failures become null
+async function loadPinData(pin) {
+  const [current, hourly, daily] = await Promise.allSettled([
+    getCurrentWeather(pin.lat, pin.lon),
+    getHourly24(pin.lat, pin.lon),
+    getForecast10Days(pin.lat, pin.lon, 10),
+  ]);
+  return {
+    pin,
+    current: current.status === "fulfilled" ? current.value : null,
+    hourly: hourly.status === "fulfilled" ? hourly.value : [],
+    daily: daily.status === "fulfilled" ? daily.value : [],
+  };
+}
+
+// [message key, cell value]; null/undefined cells show "–"
+const ROWS = [
+  [
+    "compare.coordinates",
+    (r) => `${r.pin.lat.toFixed(3)}, ${r.pin.lon.toFixed(3)}`,
+  ],
+  ["compare.climate", (r) => r.pin.climateType || t("common.unknown")],
+  ["compare.elevation", (r) => formatElevation(r.pin.elevation)],
+  ["compare.conditions", (r) => translateDescription(r.current?.description)],
+  ["compare.temp", (r) => r.current && formatTemp(r.current.temp, 1)],
+  [
+    "compare.feelsLike",
+    (r) => r.current && formatTemp(r.current.feels_like, 1),
+  ],
+  [
+    "compare.today",
+    (r) =>
+      r.daily[0] &&
+      `${formatTemp(r.daily[0].temp.min)} / ${formatTemp(r.daily[0].temp.max)}`,
+  ],
+  ["compare.humidity", (r) => r.current && `${r.current.humidity}%`],
+  ["compare.wind", (r) => r.current && formatWind(r.current.wind_speed)],
+  ["compare.precip", (r) => r.current && formatPrecip(r.current.precip)],
+  ["compare.uv", (r) => r.current && formatUvi(r.current.uvi)],
+];
+
+function renderTable(table, results) {
+  const head = results
+    .map(
+      (r) => `
+      <th scope="col">
+        <i class="compare-swatch" style="background:${r.pin.color}"></i>
+        ${escapeHtml(r.pin.name)}${
+        r.pin.country ? ", " + escapeHtml(r.pin.country) : ""
+      }
+        <button type="button" class="compare-remove" data-remove="${
+          r.pin.id
+        }" aria-label="${t("compare.unpin", {
+        name: escapeHtml(r.pin.name),
+      })}">×</button>
+      </th>`
+    )
+    .join("");
+  const body = ROWS.map(
+    ([key, cell]) => `
+      <tr>
+        <th scope="row">${t(key)}</th>
+        ${results.map((r) => `<td>${cell(r) ?? "–"}</td>`).join("")}
+      </tr>`
+  ).join("");
+  table.innerHTML = `
+    <table class="compare-table">
+      <thead><tr><th></th>${head}</tr></thead>
+      <tbody>${body}</tbody>
+    </table>
+    <button type="button" class="compare-clear">${t("compare.clear")}</button>`;
+
+  table
+    .querySelectorAll("[data-remove]")
+    .forEach((btn) =>
+      btn.addEventListener("click", () => removePin(btn.dataset.remove))
+    );
+  table
+    .querySelector(".compare-clear")
+    .addEventListener("click", () => clearPins());
+}
+
+// latest render: a slower, older one (e.g. before a pin was removed) is dropped
+let generation = 0;
+
+const dayLabel = (x) => formatDate(x, { weekday: "short", day: "2-digit" });
+const tempPoint = (x, c) => ({ x, y: convert("temp", c) });
+
+/**
+ * Render the comparison panel (#compareWeather) for all pinned locations.
+ */
+export async function renderCompare() {
+  const section = document.getElementById("compareWeather");
+  const table = document.getElementById("compareTable");
+  const hourlyBox = document.getElementById("compareHourly");
+  const dailyBox = document.getElementById("compareDaily");
+  if (!section || !table || !hourlyBox || !dailyBox) return;
+  section.hidden = false;
+  const run = ++generation;
+
+  if (!pins.length) {
+    table.innerHTML = t("compare.empty");
+    hourlyBox.innerHTML = "";
+    dailyBox.innerHTML = "";
+    return;
+  }
+
+  table.innerHTML = t("common.loading");
+  let results;
+  try {
+    results = await Promise.all(pins.map(loadPinData));
+  } catch (e) {
+    if (run !== generation) return;
+    console.error("renderCompare error", e);
+    table.innerHTML = t("compare.error");
+    return;
+  }
+  if (run !== generation) return;
+
+  renderTable(table, results);
+
+  renderLineChart(
+    hourlyBox,
+    results.map((r) => ({
+      name: r.pin.name,
+      color: r.pin.color,
+      points: r.hourly.map((h) => tempPoint(h.dt, h.temp)),
+    })),
+    { xFormat: formatTime, yUnit: "°" }
+  );
+
+  renderLineChart(
+    dailyBox,
+    results.flatMap((r) => [
+      {
+        name: t("series.max", { name: r.pin.name }),
+        color: r.pin.color,
+        points: r.daily.map((d) => tempPoint(d.dt, d.temp?.max)),
+      },
+      {
+        name: t("series.min", { name: r.pin.name }),
+        color: r.pin.color,
+        dashed: true,
+        points: r.daily.map((d) => tempPoint(d.dt, d.temp?.min)),
+      },
+    ]),
+    { xFormat: dayLabel, yUnit: "°" }
+  );
+}
+
+// keep an open panel in sync with pins added/removed elsewhere
+window.addEventListener("pinschange", () => {
+  const section = document.getElementById("compareWeather");
+  if (section && !section.hidden) renderCompare();
+});
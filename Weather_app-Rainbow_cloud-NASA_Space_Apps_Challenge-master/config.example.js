@@ -0,0 +1,5 @@
+// config.example.js (ES module)
+// Copy to config.js (git-ignored) and fill in. With server/server.mjs the
+// key can stay in OPENWEATHER_API_KEY instead: the server never serves this
+// file, the browser gets a generated /config.js without the key.
+export const apiKey = "YOUR_OPENWEATHER_API_KEY";
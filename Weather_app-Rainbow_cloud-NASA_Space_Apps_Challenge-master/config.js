@@ -1,3 +0,0 @@
-// config.js (ES module)
-export const apiKey = "fca69fe61873533164e13595cd370edf";
-window.apiKey = apiKey; // để backward compatibility nếu cần
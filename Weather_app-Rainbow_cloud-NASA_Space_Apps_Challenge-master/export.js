@@ -0,0 +1,543 @@
+// export.js (ES module)
+// Export menu of the info panel: hourly / daily forecast as CSV or JSON, the
+// daily forecast as an iCalendar file (one all-day event per day) and a
+// one-page printable report (print stylesheet → "Save as PDF") with a map
+// snapshot, the Köppen class and the forecasts. Values are in the units
+// picked in the settings; the unit is in every CSV header and in the JSON.
+import {
+  getClimate,
+  getCurrentWeather,
+  getElevation,
+  selectedPlace,
+} from "./script.js";
+import {
+  getForecast10Days,
+  getHourly48,
+  getTimezoneOffset,
+} from "./options.js";
+import { getProvider } from "./providers/index.js";
+import { baseTileUrl } from "./appConfig.js";
+import { t, translateDescription } from "./i18n.js";
+import {
+  convert,
+  formatDate,
+  formatElevation,
+  formatPrecip,
+  formatTemp,
+  formatTime,
+  formatUvi,
+  formatWind,
+  unitLabel,
+  escapeHtml,
+} from "./format.js";
+
+const L = window.L;
+const SNAPSHOT = { width: 640, height: 300, zoom: 11 };
+const REPORT_HOURS = 24; // hourly rows of the printed report (every 3rd hour)
+
+// ---------- Columns (shared by CSV and JSON) ----------
+// kind: converted to the selected unit; unit: fixed unit label
+const HOURLY_COLUMNS = [
+  { key: "time", get: (h, tz) => isoLocal(h.dt, tz) },
+  { key: "temp", kind: "temp" },
+  { key: "feels_like", kind: "temp" },
+  { key: "humidity", unit: "%" },
+  { key: "wind_speed", kind: "wind" },
+  { key: "wind_gust", kind: "wind" },
+  { key: "wind_deg", unit: "°" },
+  { key: "rain", kind: "precip" },
+  { key: "pop", unit: "%", get: (h) => (h.pop == null ? null : h.pop * 100) },
+  { key: "uvi" },
+  { key: "description" },
+  { key: "interpolated", get: (h) => Boolean(h.interpolated) },
+];
+
+const DAILY_COLUMNS = [
+  { key: "date", get: (d, tz) => isoLocal(d.dt, tz).slice(0, 10) },
+  { key: "temp_min", kind: "temp", get: (d) => d.temp?.min },
+  { key: "temp_max", kind: "temp", get: (d) => d.temp?.max },
+  { key: "humidity", unit: "%" },
+  { key: "wind_speed", kind: "wind" },
+  { key: "rain", kind: "precip" },
+  { key: "pop", unit: "%", get: (d) => (d.pop == null ? null : d.pop * 100) },
+  { key: "uvi" },
+  { key: "description" },
+];
+
+// "+07:00" style offset of a UTC offset in seconds
+function isoOffset(tz) {
+  const abs = Math.abs(tz);
+  const hh = String(Math.floor(abs / 3600)).padStart(2, "0");
+  const mm = String(Math.round((abs % 3600) / 60)).padStart(2, "0");
+  return `${tz < 0 ? "-" : "+"}${hh}:${mm}`;
+}
+
+/** "2024-05-01T14:00+07:00" on the location's clock */
+function isoLocal(dt, tz = 0) {
+  const local = new Date((dt + tz) * 1000).toISOString().slice(0, 16);
+  return `${local}${isoOffset(tz)}`;
+}
+
+function cell(col, row, tz) {
+  let v = col.get ? col.get(row, tz) : row[col.key];
+  if (v === undefined) v = null;
+  if (col.kind && v !== null) v = convert(col.kind, v);
+  return typeof v === "number" ? Math.round(v * 100) / 100 : v;
+}
+
+function header(col) {
+  const unit = col.kind ? unitLabel(col.kind) : col.unit;
+  return unit ? `${col.key} (${unit})` : col.key;
+}
+
+function csvField(v) {
+  if (v === null) return "";
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** CSV text (header row + one row per entry) */
+export function toCsv(columns, rows, tz) {
+  const lines = [columns.map(header)];
+  for (const row of rows) lines.push(columns.map((c) => cell(c, row, tz)));
+  return `${lines.map((l) => l.map(csvField).join(",")).join("\r\n")}\r\n`;
+}
+
+/** JSON export: location, units and the rows keyed by column */
+export function toJson(columns, rows, tz, place) {
+  const units = {};
+  for (const c of columns) {
+    const unit = c.kind ? unitLabel(c.kind) : c.unit;
+    if (unit) units[c.key] = unit;
+  }
+  return JSON.stringify(
+    {
+      location: place,
+      provider: getProvider().label,
+      generated: new Date().toISOString(),
+      timezone_offset: tz,
+      units,
+      data: rows.map((row) =>
+        Object.fromEntries(columns.map((c) => [c.key, cell(c, row, tz)]))
+      ),
+    },
+    null,
+    2
+  );
+}
+
+// ---------- iCalendar ----------
+function icsText(s) {
+  return String(s)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// RFC 5545: lines of at most 75 octets, continued with a leading space
+function icsFold(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let part = "";
+  for (const ch of line) {
+    const limit = parts.length ? 74 : 75;
+    if (encoder.encode(part + ch).length > limit) {
+      parts.push(part);
+      part = "";
+    }
+    part += ch;
+  }
+  parts.push(part);
+  return parts.join("\r\n ");
+}
+
+const icsDate = (iso) => iso.slice(0, 10).replace(/-/g, "");
+
+/** .ics calendar with one all-day event per forecast day */
+export function toIcs(days, tz, place) {
+  const stamp = `${new Date()
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .slice(0, 15)}Z`;
+  const where = placeName(place);
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Rainbow Cloud//Weather Risk Assessment//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${icsText(t("export.icsCalendar", { place: where }))}`,
+  ];
+  for (const d of days) {
+    const day = isoLocal(d.dt, tz).slice(0, 10);
+    const next = isoLocal(d.dt + 86400, tz).slice(0, 10);
+    const summary = t("export.icsSummary", {
+      min: formatTemp(d.temp.min),
+      max: formatTemp(d.temp.max),
+      description: translateDescription(d.description),
+      place: where,
+    });
+    const description = t("export.icsDescription", {
+      rain: formatPrecip(d.rain),
+      pop: Math.round((d.pop ?? 0) * 100),
+      wind: formatWind(d.wind_speed),
+      uvi: formatUvi(d.uvi),
+    });
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${icsDate(day)}-${place.lat.toFixed(3)}_${place.lon.toFixed(
+        3
+      )}@weather-risk-assessment`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${icsDate(day)}`,
+      `DTEND;VALUE=DATE:${icsDate(next)}`,
+      `SUMMARY:${icsText(summary)}`,
+      `DESCRIPTION:${icsText(description)}`,
+      `GEO:${place.lat.toFixed(4)};${place.lon.toFixed(4)}`,
+      "TRANSP:TRANSPARENT",
+      "END:VEVENT"
+    );
+  }
+  lines.push("END:VCALENDAR");
+  return `${lines.map(icsFold).join("\r\n")}\r\n`;
+}
+
+// ---------- Files ----------
+function placeName(place) {
+  return [place.name, place.country].filter(Boolean).join(", ");
+}
+
+function fileName(place, what, ext) {
+  const slug =
+    (place.name || "location")
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .replace(/[đĐ]/g, "d")
+      .replace(/[^\w]+/g, "-")
+      .replace(/^-|-$/g, "")
+      .toLowerCase() || "location";
+  const day = new Date().toISOString().slice(0, 10);
+  return `weather-${slug}-${day}-${what}.${ext}`;
+}
+
+function download(name, type, text) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// ---------- Printed report ----------
+function loadImage(src) {
+  return new Promise((resolve) => {
+    const img = new Image();
+    img.crossOrigin = "anonymous";
+    img.onload = () => resolve(img);
+    img.onerror = () => resolve(null);
+    img.src = src;
+  });
+}
+
+/**
+ * PNG data URL of the base map around a point (tiles composed on a canvas,
+ * marker in the centre), or null when the tiles cannot be used.
+ */
+export async function mapSnapshot(
+  lat,
+  lon,
+  { width, height, zoom } = SNAPSHOT
+) {
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  const centre = L.CRS.EPSG3857.latLngToPoint(L.latLng(lat, lon), zoom);
+  const left = centre.x - width / 2;
+  const top = centre.y - height / 2;
+  const n = 2 ** zoom;
+  const draws = [];
+  for (
+    let tx = Math.floor(left / 256);
+    tx <= Math.floor((left + width) / 256);
+    tx++
+  ) {
+    for (
+      let ty = Math.floor(top / 256);
+      ty <= Math.floor((top + height) / 256);
+      ty++
+    ) {
+      if (ty < 0 || ty >= n) continue;
+      const x = ((tx % n) + n) % n;
+      const url = baseTileUrl
+        .replace("{s}", "abc"[(x + ty) % 3])
+        .replace("{z}", zoom)
+        .replace("{x}", x)
+        .replace("{y}", ty)
+        .replace("{r}", "");
+      draws.push(
+        loadImage(url).then((img) => {
+          if (img) ctx.drawImage(img, tx * 256 - left, ty * 256 - top);
+          return Boolean(img);
+        })
+      );
+    }
+  }
+  if (!(await Promise.all(draws)).some(Boolean)) return null;
+
+  ctx.beginPath();
+  ctx.arc(width / 2, height / 2, 7, 0, 2 * Math.PI);
+  ctx.fillStyle = "#e11d48";
+  ctx.fill();
+  ctx.lineWidth = 2;
+  ctx.strokeStyle = "white";
+  ctx.stroke();
+
+  const credit = "© OpenStreetMap contributors";
+  ctx.font = "11px sans-serif";
+  const w = ctx.measureText(credit).width + 8;
+  ctx.fillStyle = "rgba(255, 255, 255, 0.8)";
+  ctx.fillRect(width - w, height - 16, w, 16);
+  ctx.fillStyle = "#333";
+  ctx.fillText(credit, width - w + 4, height - 4);
+  try {
+    return canvas.toDataURL("image/png");
+  } catch (err) {
+    console.error("Map snapshot error:", err); // tainted canvas
+    return null;
+  }
+}
+
+function reportTable(headers, rows) {
+  return `
+    <table class="report-table">
+      <thead><tr>${headers
+        .map((h) => `<th scope="col">${h}</th>`)
+        .join("")}</tr></thead>
+      <tbody>${rows
+        .map((r) => `<tr>${r.map((c) => `<td>${c}</td>`).join("")}</tr>`)
+        .join("")}</tbody>
+    </table>`;
+}
+
+async function buildReport(place, data) {
+  const { current, hours, days, tz } = data;
+  const climate = getClimate(place.lat, place.lon, window._georaster?.());
+  const [elevation, snapshot] = await Promise.all([
+    getElevation(place.lat, place.lon),
+    mapSnapshot(place.lat, place.lon),
+  ]);
+  const pct = (p) => (p == null ? "–" : `${Math.round(p * 100)}%`);
+
+  const dailyRows = days.map((d) => [
+    formatDate(
+      d.dt,
+      { weekday: "short", day: "2-digit", month: "2-digit" },
+      tz
+    ),
+    `${formatTemp(d.temp.min)} / ${formatTemp(d.temp.max)}`,
+    formatPrecip(d.rain),
+    pct(d.pop),
+    formatWind(d.wind_speed),
+    formatUvi(d.uvi),
+    translateDescription(d.description),
+  ]);
+  const hourlyRows = hours
+    .slice(0, REPORT_HOURS)
+    .filter((_, i) => i % 3 === 0)
+    .map((h) => [
+      formatDate(h.dt, { weekday: "short" }, tz) + " " + formatTime(h.dt, tz),
+      formatTemp(h.temp),
+      formatPrecip(h.rain),
+      pct(h.pop),
+      formatWind(h.wind_speed),
+      translateDescription(h.description),
+    ]);
+
+  let report = document.getElementById("printReport");
+  if (!report) {
+    report = document.createElement("section");
+    report.id = "printReport";
+    report.className = "print-report";
+    document.body.appendChild(report);
+  }
+  report.innerHTML = `
+    <header>
+      <h1>${escapeHtml(placeName(place))}</h1>
+      <p>${place.lat.toFixed(4)}, ${place.lon.toFixed(4)} · ${t(
+    "info.elevation",
+    { value: formatElevation(elevation) }
+  )} · ${t("info.climate", { value: climate.climateType })}</p>
+      <p>${t("export.reportGenerated", {
+        time: formatDate(Date.now() / 1000, {
+          day: "2-digit",
+          month: "2-digit",
+          year: "numeric",
+          hour: "2-digit",
+          minute: "2-digit",
+        }),
+        provider: getProvider().label,
+      })}</p>
+    </header>
+    ${
+      snapshot
+        ? `<img class="report-map" src="${snapshot}" alt="${t(
+            "export.mapAlt"
+          )}" />`
+        : `<p>${t("export.noMap")}</p>`
+    }
+    <h2>${t("export.reportNow")}</h2>
+    <p>${formatTemp(current.temp, 1)} · ${translateDescription(
+    current.description
+  )} · ${t("info.feelsLike", { value: formatTemp(current.feels_like, 1) })} ·
+      ${current.humidity}% · ${formatWind(current.wind_speed)}${
+    current.uvi == null ? "" : ` · UV ${formatUvi(current.uvi)}`
+  }</p>
+    <h2>${t("export.reportDaily")}</h2>
+    ${reportTable(
+      [
+        t("export.colDay"),
+        t("export.colMinMax"),
+        t("export.colRain"),
+        t("export.colPop"),
+        t("export.colWind"),
+        t("export.colUv"),
+        t("export.colWeather"),
+      ],
+      dailyRows
+    )}
+    <h2>${t("export.reportHourly")}</h2>
+    ${reportTable(
+      [
+        t("export.colTime"),
+        t("export.colTemp"),
+        t("export.colRain"),
+        t("export.colPop"),
+        t("export.colWind"),
+        t("export.colWeather"),
+      ],
+      hourlyRows
+    )}
+    <footer>${t("export.reportFooter")}</footer>`;
+  // the snapshot must be decoded before the print dialog renders the page
+  await report
+    .querySelector(".report-map")
+    ?.decode()
+    .catch(() => {});
+}
+
+// ---------- Menu ----------
+async function loadData(place) {
+  const [current, hours, days, tz] = await Promise.all([
+    getCurrentWeather(place.lat, place.lon),
+    getHourly48(place.lat, place.lon),
+    getForecast10Days(place.lat, place.lon, 10),
+    getTimezoneOffset(place.lat, place.lon),
+  ]);
+  return { current, hours, days, tz: tz ?? 0 };
+}
+
+async function runExport(kind) {
+  const place = selectedPlace();
+  if (!place) throw new Error("No location selected");
+  const data = await loadData(place);
+  const meta = {
+    name: place.name,
+    country: place.country,
+    lat: place.lat,
+    lon: place.lon,
+  };
+  switch (kind) {
+    case "hourly-csv":
+      return download(
+        fileName(place, "hourly", "csv"),
+        "text/csv;charset=utf-8",
+        toCsv(HOURLY_COLUMNS, data.hours, data.tz)
+      );
+    case "hourly-json":
+      return download(
+        fileName(place, "hourly", "json"),
+        "application/json",
+        toJson(HOURLY_COLUMNS, data.hours, data.tz, meta)
+      );
+    case "daily-csv":
+      return download(
+        fileName(place, "daily", "csv"),
+        "text/csv;charset=utf-8",
+        toCsv(DAILY_COLUMNS, data.days, data.tz)
+      );
+    case "daily-json":
+      return download(
+        fileName(place, "daily", "json"),
+        "application/json",
+        toJson(DAILY_COLUMNS, data.days, data.tz, meta)
+      );
+    case "ics":
+      return download(
+        fileName(place, "forecast", "ics"),
+        "text/calendar;charset=utf-8",
+        toIcs(data.days, data.tz, place)
+      );
+    case "print":
+      await buildReport(place, data);
+      window.print();
+      return;
+  }
+}
+
+/**
+ * Wire the export button and its menu (#exportBtn, #exportMenu).
+ */
+export function bindExportMenu() {
+  const btn = document.getElementById("exportBtn");
+  const menu = document.getElementById("exportMenu");
+  if (!btn || !menu) return;
+  const status = menu.querySelector(".export-status");
+  const items = () => [...menu.querySelectorAll('[role="menuitem"]')];
+
+  function setOpen(open) {
+    menu.hidden = !open;
+    btn.setAttribute("aria-expanded", String(open));
+    if (!open) return;
+    const ready = Boolean(selectedPlace());
+    items().forEach((item) => (item.disabled = !ready));
+    status.textContent = ready ? "" : t("export.noLocation");
+    if (ready) items()[0].focus();
+  }
+
+  btn.addEventListener("click", () => setOpen(menu.hidden));
+  menu.addEventListener("click", async (e) => {
+    const item = e.target.closest("[data-export]");
+    if (!item || item.disabled) return;
+    status.textContent = t("common.loading");
+    items().forEach((i) => (i.disabled = true));
+    try {
+      await runExport(item.dataset.export);
+      setOpen(false);
+      btn.focus();
+    } catch (err) {
+      console.error("Export error:", err);
+      status.textContent = t("export.error");
+      items().forEach((i) => (i.disabled = false));
+    }
+  });
+  menu.addEventListener("keydown", (e) => {
+    const list = items().filter((i) => !i.disabled);
+    const i = list.indexOf(document.activeElement);
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      list[(i + step + list.length) % list.length]?.focus();
+    } else if (e.key === "Escape") {
+      setOpen(false);
+      btn.focus();
+    }
+  });
+  document.addEventListener("click", (e) => {
+    if (!menu.hidden && !btn.parentNode.contains(e.target)) setOpen(false);
+  });
+}
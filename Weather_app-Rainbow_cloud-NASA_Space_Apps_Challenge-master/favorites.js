@@ -0,0 +1,238 @@
+// favorites.js (ES module)
+// Favorite locations (starred in the marker popup or next to the location
+// name) and recently viewed locations, kept in localStorage. The sidebar
+// (header ★ button) lists the favorites with their current conditions; the
+// search box shows both lists while it is empty.
+import { getCurrentWeather } from "./script.js";
+import { pinId } from "./compare.js";
+import { t, translateDescription } from "./i18n.js";
+import { escapeHtml, formatTemp, formatWind } from "./format.js";
+
+const FAVORITES_KEY = "favorites";
+const RECENTS_KEY = "recentLocations";
+const SIDEBAR_KEY = "favoritesOpen";
+export const MAX_RECENTS = 8;
+
+function load(key) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(key));
+    return Array.isArray(saved) ? saved : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+let favorites = load(FAVORITES_KEY);
+let recents = load(RECENTS_KEY);
+
+// persist + tell the sidebar, the stars and the search box to redraw
+function changed() {
+  try {
+    localStorage.setItem(FAVORITES_KEY, JSON.stringify(favorites));
+    localStorage.setItem(RECENTS_KEY, JSON.stringify(recents));
+  } catch (_) {}
+  window.dispatchEvent(new CustomEvent("favoriteschange"));
+}
+
+function toPlace({ lat, lon, name, country }) {
+  return { id: pinId(lat, lon), lat, lon, name, country: country || "" };
+}
+
+export function getFavorites() {
+  return favorites.slice();
+}
+
+export function getRecents() {
+  return recents.slice();
+}
+
+export function isFavorite(lat, lon) {
+  const id = pinId(lat, lon);
+  return favorites.some((f) => f.id === id);
+}
+
+/**
+ * Star / unstar { lat, lon, name, country }. Returns the new state.
+ */
+export function toggleFavorite(place) {
+  const id = pinId(place.lat, place.lon);
+  if (favorites.some((f) => f.id === id))
+    favorites = favorites.filter((f) => f.id !== id);
+  else favorites.push(toPlace(place));
+  changed();
+  return isFavorite(place.lat, place.lon);
+}
+
+export function removeFavorite(id) {
+  favorites = favorites.filter((f) => f.id !== id);
+  changed();
+}
+
+/**
+ * Remember a viewed location (most recent first, no duplicates).
+ */
+export function addRecent(place) {
+  const p = toPlace(place);
+  recents = [p, ...recents.filter((r) => r.id !== p.id)].slice(0, MAX_RECENTS);
+  changed();
+}
+
+export function clearRecents() {
+  recents = [];
+  changed();
+}
+
+export function placeLabel(p) {
+  return p.country ? `${p.name}, ${p.country}` : p.name;
+}
+
+// ---------- Star next to #location_name ----------
+let currentPlace = null;
+
+function renderStar() {
+  const btn = document.getElementById("favoriteBtn");
+  if (!btn) return;
+  btn.hidden = !currentPlace;
+  if (!currentPlace) return;
+  const on = isFavorite(currentPlace.lat, currentPlace.lon);
+  btn.textContent = on ? "★" : "☆";
+  btn.setAttribute("aria-pressed", String(on));
+  btn.title = on ? t("favorites.unstar") : t("favorites.star");
+  btn.setAttribute("aria-label", btn.title);
+}
+
+/**
+ * The location shown in the info panel (the star acts on it).
+ */
+export function setCurrentPlace(place) {
+  currentPlace = place;
+  renderStar();
+}
+
+// ---------- Sidebar ----------
+function miniConditions(node, fav) {
+  getCurrentWeather(fav.lat, fav.lon)
+    .then((c) => {
+      node.innerHTML = `
+        <img alt="" src="http://openweathermap.org/img/wn/${c.icon}.png" />
+        <b>${formatTemp(c.temp)}</b>
+        <span>${translateDescription(c.description)}</span>
+        <span>💨 ${formatWind(c.wind_speed)}</span>`;
+    })
+    .catch(() => {
+      node.textContent = t("favorites.noData");
+    });
+}
+
+// saved names are user input (shared links, geocoders): escape them
+const labelHtml = (p) => escapeHtml(placeLabel(p));
+
+function renderSidebar(bar, pick) {
+  const favItems = favorites
+    .map(
+      (f) => `
+      <li class="fav-card" data-id="${f.id}">
+        <button type="button" class="fav-open" data-pick="fav">${labelHtml(
+          f
+        )}</button>
+        <button type="button" class="fav-remove" data-remove="${f.id}"
+          aria-label="${t("favorites.remove", {
+            name: labelHtml(f),
+          })}" title="${t("favorites.unstar")}">×</button>
+        <div class="fav-now">${t("common.loading")}</div>
+      </li>`
+    )
+    .join("");
+  const recentItems = recents
+    .map(
+      (r) => `
+      <li><button type="button" class="fav-open" data-pick="recent" data-id="${
+        r.id
+      }">${labelHtml(r)}</button></li>`
+    )
+    .join("");
+
+  bar.innerHTML = `
+    <div class="fav-head">
+      <h3>${t("favorites.title")}</h3>
+      <button type="button" class="fav-close" aria-label="${t(
+        "favorites.close"
+      )}">×</button>
+    </div>
+    ${
+      favItems
+        ? `<ul class="fav-list">${favItems}</ul>`
+        : `<p class="fav-empty">${t("favorites.empty")}</p>`
+    }
+    <div class="fav-head">
+      <h4>${t("favorites.recent")}</h4>
+      ${
+        recentItems
+          ? `<button type="button" class="fav-clear">${t(
+              "favorites.clearRecent"
+            )}</button>`
+          : ""
+      }
+    </div>
+    ${
+      recentItems
+        ? `<ul class="recent-list">${recentItems}</ul>`
+        : `<p class="fav-empty">${t("favorites.noRecent")}</p>`
+    }`;
+
+  bar.querySelectorAll(".fav-card").forEach((li) => {
+    const fav = favorites.find((f) => f.id === li.dataset.id);
+    if (fav) miniConditions(li.querySelector(".fav-now"), fav);
+  });
+  bar.onclick = (e) => {
+    const target = e.target.closest("button");
+    if (!target) return;
+    if (target.classList.contains("fav-close")) setSidebarOpen(false);
+    else if (target.classList.contains("fav-clear")) clearRecents();
+    else if (target.dataset.remove) removeFavorite(target.dataset.remove);
+    else if (target.dataset.pick) {
+      const id = target.closest("[data-id]").dataset.id;
+      const list = target.dataset.pick === "fav" ? favorites : recents;
+      const place = list.find((p) => p.id === id);
+      if (place) pick(place);
+    }
+  };
+}
+
+let sidebarPick = null;
+
+function setSidebarOpen(open) {
+  const btn = document.getElementById("favoritesBtn");
+  const bar = document.getElementById("favoritesBar");
+  if (!btn || !bar) return;
+  bar.hidden = !open;
+  btn.setAttribute("aria-expanded", String(open));
+  try {
+    localStorage.setItem(SIDEBAR_KEY, open ? "1" : "");
+  } catch (_) {}
+  if (open) renderSidebar(bar, sidebarPick);
+}
+
+/**
+ * Wire the header ★ button, the sidebar and the star next to the location
+ * name. pick(place) shows a saved location (map.js pickLocation).
+ */
+export function bindFavorites(pick) {
+  sidebarPick = pick;
+  const btn = document.getElementById("favoritesBtn");
+  const bar = document.getElementById("favoritesBar");
+  btn?.addEventListener("click", () => setSidebarOpen(bar.hidden));
+  if (localStorage.getItem(SIDEBAR_KEY)) setSidebarOpen(true);
+
+  document.getElementById("favoriteBtn")?.addEventListener("click", () => {
+    if (currentPlace) toggleFavorite(currentPlace);
+  });
+
+  const refresh = () => {
+    renderStar();
+    if (bar && !bar.hidden) renderSidebar(bar, pick);
+  };
+  window.addEventListener("favoriteschange", refresh);
+  window.addEventListener("settingschange", refresh);
+  window.addEventListener("providerchange", refresh);
+}
@@ -0,0 +1,186 @@
+// format.js (ES module)
+// Shared formatters: every value shown in the UI goes through these so the
+// unit, clock and language settings apply everywhere.
+// Inputs are always the normalized provider units: °C, m/s, mm, metres, unix s.
+import { getSettings } from "./settings.js";
+import { getLang, t } from "./i18n.js";
+
+// quantity → unit → [from base, to base, label]
+const UNITS = {
+  temp: {
+    c: [(v) => v, (v) => v, "°C"],
+    f: [(v) => (v * 9) / 5 + 32, (v) => ((v - 32) * 5) / 9, "°F"],
+  },
+  wind: {
+    ms: [(v) => v, (v) => v, "m/s"],
+    kmh: [(v) => v * 3.6, (v) => v / 3.6, "km/h"],
+    mph: [(v) => v * 2.23694, (v) => v / 2.23694, "mph"],
+    kn: [(v) => v * 1.94384, (v) => v / 1.94384, "kn"],
+  },
+  precip: {
+    mm: [(v) => v, (v) => v, "mm"],
+    in: [(v) => v / 25.4, (v) => v * 25.4, "in"],
+  },
+  elevation: {
+    m: [(v) => v, (v) => v, "m"],
+    ft: [(v) => v * 3.28084, (v) => v / 3.28084, "ft"],
+  },
+};
+
+// decimals used when the caller does not ask for a precision
+const DEFAULT_DIGITS = {
+  temp: { c: 0, f: 0 },
+  wind: { ms: 1, kmh: 0, mph: 0, kn: 0 },
+  precip: { mm: 1, in: 2 },
+  elevation: { m: 0, ft: 0 },
+};
+
+function unitEntry(kind) {
+  const unit = getSettings()[kind];
+  return UNITS[kind][unit] || Object.values(UNITS[kind])[0];
+}
+
+/** Base value (°C, m/s, mm, m) → value in the selected unit */
+export function convert(kind, value) {
+  if (value === null || value === undefined) return value;
+  return unitEntry(kind)[0](value);
+}
+
+/** Value in the selected unit → base value (e.g. for form inputs) */
+export function toBase(kind, value) {
+  return unitEntry(kind)[1](value);
+}
+
+export function unitLabel(kind) {
+  return unitEntry(kind)[2];
+}
+
+/** Label of any unit, e.g. unitLabelOf("wind", "kn") → "kn" */
+export function unitLabelOf(kind, unit) {
+  return UNITS[kind][unit]?.[2] || unit;
+}
+
+/**
+ * Escape text for an innerHTML template or attribute (place names come from
+ * shared links, geocoders and localStorage).
+ */
+export function escapeHtml(value) {
+  return String(value ?? "").replace(
+    /[&<>"']/g,
+    (c) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[
+        c
+      ])
+  );
+}
+
+export function locale() {
+  return getLang() === "vi" ? "vi-VN" : "en-US";
+}
+
+function round(value, digits) {
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
+
+/**
+ * "24°C", "12 km/h", "0.3 mm", "15 m"; "–" for missing values.
+ */
+export function formatValue(kind, value, digits) {
+  if (value === null || value === undefined || Number.isNaN(value)) return "–";
+  const unit = getSettings()[kind];
+  const d = digits ?? DEFAULT_DIGITS[kind][unit] ?? 0;
+  const n = round(convert(kind, value), d).toLocaleString(locale(), {
+    maximumFractionDigits: d,
+  });
+  return kind === "temp" ? `${n}${unitLabel(kind)}` : `${n} ${unitLabel(kind)}`;
+}
+
+export const formatTemp = (c, digits) => formatValue("temp", c, digits);
+export const formatWind = (ms, digits) => formatValue("wind", ms, digits);
+export const formatPrecip = (mm, digits) => formatValue("precip", mm, digits);
+export const formatElevation = (m, digits) =>
+  m === null || m === undefined || Number.isNaN(Number(m))
+    ? t("common.unknown")
+    : formatValue("elevation", Number(m), digits);
+
+/**
+ * Temperature difference (anomaly, bias, trend): scaled, never offset.
+ * signed: prefix positive values with "+".
+ */
+export function formatTempDiff(dc, digits = 1, signed = true) {
+  const scale = getSettings().temp === "f" ? 9 / 5 : 1;
+  const v = round(dc * scale, digits);
+  const sign = signed && v > 0 ? "+" : "";
+  return `${sign}${v.toLocaleString(locale())}${unitLabel("temp")}`;
+}
+
+function hour12() {
+  return getSettings().clock === "12h";
+}
+
+// Times are shown on the location's clock when its UTC offset (seconds, from
+// the API) is known: shift the instant and format it as UTC. Without an
+// offset the browser's timezone is used.
+function toLocaleIn(dt, tzOffset, options) {
+  if (tzOffset === null || tzOffset === undefined)
+    return new Date(dt * 1000).toLocaleString(locale(), options);
+  return new Date((dt + tzOffset) * 1000).toLocaleString(locale(), {
+    ...options,
+    timeZone: "UTC",
+  });
+}
+
+/** "14:00" / "2:00 PM" */
+export function formatTime(dt, tzOffset) {
+  return toLocaleIn(dt, tzOffset, {
+    hour: "2-digit",
+    minute: "2-digit",
+    hour12: hour12(),
+  });
+}
+
+/** "Mon, 03/11" style day label */
+export function formatDay(dt, tzOffset) {
+  return toLocaleIn(dt, tzOffset, {
+    weekday: "short",
+    day: "2-digit",
+    month: "2-digit",
+  });
+}
+
+/** Any date/time with Intl options, in the current language and clock */
+export function formatDate(dt, options, tzOffset) {
+  return toLocaleIn(dt, tzOffset, { hour12: hour12(), ...options });
+}
+
+/** Hour of day (0-23) on the location's clock */
+export function localHour(dt, tzOffset) {
+  if (tzOffset === null || tzOffset === undefined)
+    return new Date(dt * 1000).getHours();
+  return new Date((dt + tzOffset) * 1000).getUTCHours();
+}
+
+/** "UTC+7", "UTC-3:30" */
+export function formatUtcOffset(tzOffset) {
+  const sign = tzOffset < 0 ? "-" : "+";
+  const abs = Math.abs(tzOffset);
+  const h = Math.floor(abs / 3600);
+  const m = Math.round((abs % 3600) / 60);
+  return `UTC${sign}${h}${m ? ":" + String(m).padStart(2, "0") : ""}`;
+}
+
+// ---- UV index ----
+export function uviCategory(uvi) {
+  if (uvi < 3) return t("uv.low");
+  if (uvi < 6) return t("uv.moderate");
+  if (uvi < 8) return t("uv.high");
+  if (uvi < 11) return t("uv.veryHigh");
+  return t("uv.extreme");
+}
+
+export function formatUvi(uvi) {
+  if (uvi === null || uvi === undefined) return "–";
+  const n = Math.round(uvi);
+  return `${n} (${uviCategory(n)})`;
+}
@@ -0,0 +1,164 @@
+// geolocate.js (ES module)
+// "Use my location": the header map button asks the browser for the position
+// and shows it like a map click (marker, elevation, climate, info panel). The
+// fix is drawn with its accuracy circle; "follow me" keeps watching the
+// position and reloads the weather once the user has moved far enough. The
+// status box only stays up for errors and imprecise fixes.
+import { t } from "./i18n.js";
+import { formatElevation } from "./format.js";
+
+const L = window.L;
+const LOW_ACCURACY_M = 1000; // wider than this: say so and zoom out to the circle
+const FOLLOW_MIN_MOVE_M = 500; // reload the weather after moving this far
+const POSITION_OPTIONS = {
+  enableHighAccuracy: true,
+  timeout: 15000,
+  maximumAge: 60000,
+};
+
+// GeolocationPositionError.code → i18n key
+const ERROR_KEYS = {
+  1: "geo.denied",
+  2: "geo.unavailable",
+  3: "geo.timeout",
+};
+
+/**
+ * Wire locateBtn / followBtn to the Geolocation API on map.
+ * onLocate(lat, lon, { follow }) runs the same flow as a map click.
+ */
+export function createGeolocation(map, { locateBtn, followBtn, onLocate }) {
+  const layer = L.layerGroup().addTo(map);
+  let watchId = null;
+  let lastLocated = null; // L.LatLng of the last weather reload
+  let busy = false;
+  let message = null; // [i18n key, params] shown in the status box
+
+  // status box on the map (errors, accuracy)
+  const status = L.control({ position: "topleft" });
+  status.onAdd = () => {
+    const div = L.DomUtil.create("div", "geo-status");
+    div.setAttribute("role", "status");
+    div.hidden = true;
+    L.DomEvent.disableClickPropagation(div);
+    return div;
+  };
+  status.addTo(map);
+  const box = status.getContainer();
+
+  function renderStatus() {
+    box.hidden = !message;
+    box.textContent = message ? t(message[0], message[1]) : "";
+  }
+
+  function say(key, params) {
+    message = key ? [key, params] : null;
+    renderStatus();
+  }
+
+  function renderButtons() {
+    const following = watchId !== null;
+    followBtn?.setAttribute("aria-pressed", String(following));
+    followBtn?.classList.toggle("is-active", following);
+    if (followBtn)
+      followBtn.title = t(following ? "geo.stopFollow" : "geo.follow");
+    locateBtn?.classList.toggle("is-busy", busy);
+  }
+
+  function drawFix({ latitude, longitude, accuracy }) {
+    const latlng = L.latLng(latitude, longitude);
+    layer.clearLayers();
+    L.circle(latlng, {
+      radius: accuracy,
+      className: "geo-accuracy",
+      interactive: false,
+    }).addTo(layer);
+    const distance = formatElevation(Math.round(accuracy));
+    L.circleMarker(latlng, { radius: 6, className: "geo-dot" })
+      .bindTooltip(t("geo.accuracy", { distance }))
+      .addTo(layer);
+    if (accuracy > LOW_ACCURACY_M) say("geo.lowAccuracy", { distance });
+    else say(null); // a good fix needs no message
+    return latlng;
+  }
+
+  async function located(position, follow) {
+    const { accuracy } = position.coords;
+    const latlng = drawFix(position.coords);
+    // following: only reload once the position really changed
+    if (
+      follow &&
+      lastLocated &&
+      lastLocated.distanceTo(latlng) < FOLLOW_MIN_MOVE_M
+    )
+      return;
+    lastLocated = latlng;
+    if (accuracy > LOW_ACCURACY_M)
+      map.fitBounds(latlng.toBounds(accuracy * 2), { maxZoom: 12 });
+    else if (follow) map.panTo(latlng);
+    else map.setView(latlng, 12);
+    try {
+      await onLocate(latlng.lat, latlng.lng, { follow });
+    } catch (err) {
+      console.error("Geolocation flow error:", err);
+    }
+  }
+
+  function failed(err) {
+    console.error("Geolocation error:", err);
+    say(ERROR_KEYS[err.code] || "geo.unavailable");
+    // a denied permission will not change while watching
+    if (err.code === 1) stopFollow();
+  }
+
+  function locate() {
+    if (!("geolocation" in navigator)) return say("geo.unsupported");
+    if (busy) return;
+    busy = true;
+    say("geo.locating");
+    renderButtons();
+    navigator.geolocation.getCurrentPosition(
+      async (position) => {
+        busy = false;
+        renderButtons();
+        await located(position, false);
+      },
+      (err) => {
+        busy = false;
+        renderButtons();
+        failed(err);
+      },
+      POSITION_OPTIONS
+    );
+  }
+
+  function startFollow() {
+    if (!("geolocation" in navigator)) return say("geo.unsupported");
+    lastLocated = null;
+    say("geo.locating");
+    watchId = navigator.geolocation.watchPosition(
+      (position) => located(position, true),
+      failed,
+      POSITION_OPTIONS
+    );
+    renderButtons();
+  }
+
+  function stopFollow() {
+    if (watchId !== null) navigator.geolocation.clearWatch(watchId);
+    watchId = null;
+    renderButtons();
+  }
+
+  locateBtn?.addEventListener("click", locate);
+  followBtn?.addEventListener("click", () =>
+    watchId === null ? startFollow() : stopFollow()
+  );
+  window.addEventListener("settingschange", () => {
+    renderStatus();
+    renderButtons();
+  });
+  renderButtons();
+
+  return { locate, stopFollow };
+}
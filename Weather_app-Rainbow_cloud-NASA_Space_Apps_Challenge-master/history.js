@@ -0,0 +1,343 @@
+// history.js (ES module)
+// "History": the last 30 days observed at the selected point against the
+// 1991–2020 normals of the same place, as daily temperature anomaly bars,
+// cumulative precipitation vs normal and a verdict per calendar month.
+// Data: Open-Meteo (no key, whatever weather provider is selected): recent
+// days from the forecast API (past_days), normals from the ERA5 archive.
+import { cachedFetchJson } from "./cache.js";
+import { renderBarChart, renderLineChart } from "./chart.js";
+import { t } from "./i18n.js";
+import {
+  convert,
+  formatDate,
+  formatPrecip,
+  formatTemp,
+  formatTempDiff,
+  unitLabel,
+} from "./format.js";
+
+const RECENT = "https://api.open-meteo.com/v1/forecast";
+const ARCHIVE = "https://archive-api.open-meteo.com/v1/archive";
+const DAYS = 30;
+const NORMALS_FROM = 1991;
+const NORMALS_TO = 2020;
+const RECENT_TTL = 3 * 3600 * 1000;
+const NORMALS_TTL = 7 * 24 * 3600 * 1000; // cache.js keeps entries a week
+
+const WARM = "#e4572e";
+const COLD = "#2e86de";
+const OBSERVED = "#2e86de";
+const NORMAL = "#9ca3af";
+
+// ERA5 grid is 0.25°: nearby points share one normals download
+const grid = (v) => Math.round(v * 4) / 4;
+
+// "YYYY-MM-DD" → unix seconds at 00:00 UTC (labels are formatted in UTC)
+function toDt(date) {
+  const [y, m, d] = date.split("-").map(Number);
+  return Date.UTC(y, m - 1, d) / 1000;
+}
+const daysInMonth = (y, m) => new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+
+/**
+ * Last DAYS complete days at the point (local dates):
+ * [{ date: "YYYY-MM-DD", dt, temp, max, min, precip }]
+ */
+async function fetchRecent(lat, lon) {
+  const la = grid(lat);
+  const lo = grid(lon);
+  const d = await cachedFetchJson(
+    `${RECENT}?latitude=${la}&longitude=${lo}` +
+      "&daily=temperature_2m_mean,temperature_2m_max,temperature_2m_min,precipitation_sum" +
+      `&past_days=${DAYS}&forecast_days=1&timezone=auto`,
+    { key: `history:recent:${la},${lo}`, ttl: RECENT_TTL }
+  );
+  const daily = d.daily || {};
+  return (daily.time || [])
+    .map((date, i) => {
+      const max = daily.temperature_2m_max[i];
+      const min = daily.temperature_2m_min[i];
+      return {
+        date,
+        dt: toDt(date),
+        temp: daily.temperature_2m_mean[i] ?? (max + min) / 2,
+        max,
+        min,
+        precip: daily.precipitation_sum[i] ?? 0,
+      };
+    })
+    .slice(0, -1) // today is not over yet
+    .filter((day) => Number.isFinite(day.temp));
+}
+
+/**
+ * Monthly normals from daily archive data { time, temperature_2m_mean,
+ * precipitation_sum }: per month (0-11) { temp, sd, precip } where temp is the
+ * mean temperature, sd the year-to-year spread of the monthly mean and precip
+ * the mean monthly total.
+ */
+export function computeNormals(daily) {
+  const byYearMonth = new Map(); // "YYYY-M" → { m, sum, n, precip }
+  daily.time.forEach((date, i) => {
+    const temp = daily.temperature_2m_mean[i];
+    if (temp === null || temp === undefined) return;
+    const [y, m] = date.split("-").map(Number);
+    const key = `${y}-${m}`;
+    const e = byYearMonth.get(key) || { m: m - 1, sum: 0, n: 0, precip: 0 };
+    e.sum += temp;
+    e.n += 1;
+    e.precip += daily.precipitation_sum[i] ?? 0;
+    byYearMonth.set(key, e);
+  });
+  const months = Array.from({ length: 12 }, () => ({ temps: [], precips: [] }));
+  for (const e of byYearMonth.values()) {
+    months[e.m].temps.push(e.sum / e.n);
+    months[e.m].precips.push(e.precip);
+  }
+  const mean = (xs) => xs.reduce((s, x) => s + x, 0) / xs.length;
+  return months.map(({ temps, precips }) => {
+    if (!temps.length) return null;
+    const temp = mean(temps);
+    const sd = Math.sqrt(mean(temps.map((x) => (x - temp) ** 2)));
+    return { temp, sd, precip: mean(precips) };
+  });
+}
+
+async function fetchNormals(lat, lon) {
+  const la = grid(lat);
+  const lo = grid(lon);
+  const d = await cachedFetchJson(
+    `${ARCHIVE}?latitude=${la}&longitude=${lo}` +
+      `&start_date=${NORMALS_FROM}-01-01&end_date=${NORMALS_TO}-12-31` +
+      "&daily=temperature_2m_mean,precipitation_sum&timezone=GMT",
+    { key: `history:normals:${la},${lo}`, ttl: NORMALS_TTL }
+  );
+  if (!d.daily?.time?.length) throw new Error("No archive data");
+  return computeNormals(d.daily);
+}
+
+/**
+ * Normal of one day: temperature interpolated between the mid-month values
+ * (no steps at month ends), precipitation as the month's daily share.
+ */
+export function dailyNormal(normals, date) {
+  const [y, m1, d] = date.split("-").map(Number);
+  const m = m1 - 1;
+  const dim = daysInMonth(y, m);
+  const pos = (d - 0.5) / dim - 0.5; // -0.5 … 0.5 around the month centre
+  const other = normals[(m + (pos < 0 ? 11 : 1)) % 12] || normals[m];
+  const w = Math.abs(pos);
+  return {
+    temp: normals[m].temp * (1 - w) + other.temp * w,
+    precip: normals[m].precip / dim,
+  };
+}
+
+// anomaly / year-to-year spread → verdict key
+function tempVerdict(anomaly, sd) {
+  const z = anomaly / Math.max(sd, 0.3);
+  if (z >= 1.5) return "history.temp.muchWarmer";
+  if (z >= 0.5) return "history.temp.warmer";
+  if (z > -0.5) return "history.temp.normal";
+  if (z > -1.5) return "history.temp.colder";
+  return "history.temp.muchColder";
+}
+
+// share of normal precipitation → verdict key (dry seasons: absolute mm)
+function precipVerdict(observed, normal) {
+  if (normal < 5)
+    return observed < 5 ? "history.precip.normal" : "history.precip.wetter";
+  const pct = (observed / normal) * 100;
+  if (pct < 50) return "history.precip.muchDrier";
+  if (pct < 80) return "history.precip.drier";
+  if (pct <= 125) return "history.precip.normal";
+  if (pct <= 200) return "history.precip.wetter";
+  return "history.precip.muchWetter";
+}
+
+// observed vs normal of a set of days
+function summarize(days, normals) {
+  const mean = (xs) => xs.reduce((s, x) => s + x, 0) / xs.length;
+  const temp = mean(days.map((d) => d.temp));
+  const normalTemp = mean(days.map((d) => d.normal.temp));
+  const precip = days.reduce((s, d) => s + d.precip, 0);
+  const normalPrecip = days.reduce((s, d) => s + d.normal.precip, 0);
+  const month = Number(days[days.length - 1].date.slice(5, 7)) - 1;
+  return {
+    temp,
+    normalTemp,
+    anomaly: temp - normalTemp,
+    tempKey: tempVerdict(temp - normalTemp, normals[month].sd),
+    precip,
+    normalPrecip,
+    pct: normalPrecip >= 1 ? Math.round((precip / normalPrecip) * 100) : null,
+    precipKey: precipVerdict(precip, normalPrecip),
+  };
+}
+
+function precipText(s) {
+  return s.pct === null
+    ? t("history.precipAbs", {
+        value: formatPrecip(s.precip),
+        normal: formatPrecip(s.normalPrecip),
+      })
+    : t("history.precipPct", {
+        pct: s.pct,
+        value: formatPrecip(s.precip),
+        normal: formatPrecip(s.normalPrecip),
+      });
+}
+
+/**
+ * Render the History panel for a location.
+ */
+export async function renderHistory(lat, lon) {
+  const section = document.getElementById("historyWeather");
+  const summary = document.getElementById("historySummary");
+  const tempBox = document.getElementById("historyTemp");
+  const precipBox = document.getElementById("historyPrecip");
+  const monthsBox = document.getElementById("historyMonths");
+  if (!section || !summary || !tempBox || !precipBox || !monthsBox) return;
+  section.hidden = false;
+  summary.innerHTML = t("common.loading");
+  tempBox.innerHTML = "";
+  precipBox.innerHTML = "";
+  monthsBox.innerHTML = "";
+
+  let recent;
+  let normals;
+  try {
+    [recent, normals] = await Promise.all([
+      fetchRecent(lat, lon),
+      fetchNormals(lat, lon),
+    ]);
+  } catch (err) {
+    console.error("renderHistory error", err);
+    summary.innerHTML = t("history.error");
+    return;
+  }
+  if (!recent.length || normals.some((n) => !n)) {
+    summary.innerHTML = t("common.noData");
+    return;
+  }
+
+  const days = recent.map((d) => ({
+    ...d,
+    normal: dailyNormal(normals, d.date),
+  }));
+  const dayLabel = (dt) =>
+    formatDate(dt, { day: "2-digit", month: "2-digit" }, 0);
+  const b = (v) => `<b>${v}</b>`;
+
+  // 30-day verdict
+  const all = summarize(days, normals);
+  summary.innerHTML = `
+    <div>${t("history.period", {
+      from: b(dayLabel(days[0].dt)),
+      to: b(dayLabel(days[days.length - 1].dt)),
+    })}</div>
+    <div>${t("history.tempSummary", {
+      value: b(formatTemp(all.temp, 1)),
+      normal: formatTemp(all.normalTemp, 1),
+      anomaly: b(formatTempDiff(all.anomaly)),
+      verdict: b(t(all.tempKey)),
+    })}</div>
+    <div>${precipText(all)} – ${b(t(all.precipKey))}</div>
+    <div class="history-source">${t("history.source", {
+      from: NORMALS_FROM,
+      to: NORMALS_TO,
+    })}</div>`;
+
+  // daily temperature anomalies (scaled to the selected unit, never offset)
+  const scale = convert("temp", 1) - convert("temp", 0);
+  renderBarChart(
+    tempBox,
+    days.map((d) => {
+      const anomaly = d.temp - d.normal.temp;
+      return {
+        x: d.dt,
+        y: Math.round(anomaly * scale * 10) / 10,
+        color: anomaly >= 0 ? WARM : COLD,
+        title: t("history.dayTitle", {
+          day: dayLabel(d.dt),
+          value: formatTemp(d.temp, 1),
+          normal: formatTemp(d.normal.temp, 1),
+          anomaly: formatTempDiff(anomaly),
+        }),
+      };
+    }),
+    {
+      xFormat: dayLabel,
+      yUnit: unitLabel("temp"),
+      legend: [
+        { name: t("history.warmer"), color: WARM },
+        { name: t("history.colder"), color: COLD },
+      ],
+    }
+  );
+
+  // running precipitation total vs the normal one
+  let obs = 0;
+  let norm = 0;
+  const cumulative = days.map((d) => {
+    obs += d.precip;
+    norm += d.normal.precip;
+    return {
+      dt: d.dt,
+      obs: convert("precip", obs),
+      norm: convert("precip", norm),
+    };
+  });
+  renderLineChart(
+    precipBox,
+    [
+      {
+        name: t("history.observed"),
+        color: OBSERVED,
+        points: cumulative.map((c) => ({ x: c.dt, y: c.obs })),
+      },
+      {
+        name: t("history.normal"),
+        color: NORMAL,
+        dashed: true,
+        points: cumulative.map((c) => ({ x: c.dt, y: c.norm })),
+      },
+    ],
+    { xFormat: dayLabel, yUnit: ` ${unitLabel("precip")}` }
+  );
+
+  // per calendar month of the window
+  const byMonth = new Map();
+  for (const d of days) {
+    const key = d.date.slice(0, 7);
+    if (!byMonth.has(key)) byMonth.set(key, []);
+    byMonth.get(key).push(d);
+  }
+  const rows = [...byMonth.values()].map((list) => {
+    const s = summarize(list, normals);
+    const month = formatDate(list[0].dt, { month: "long", year: "numeric" }, 0);
+    return `
+      <tr>
+        <th scope="row">${month}<br /><small>${t("history.days", {
+      n: list.length,
+    })}</small></th>
+        <td>${formatTemp(s.temp, 1)} / ${formatTemp(s.normalTemp, 1)}
+          <br /><b class="${
+            s.anomaly >= 0 ? "is-warm" : "is-cold"
+          }">${formatTempDiff(s.anomaly)}</b> · ${t(s.tempKey)}</td>
+        <td>${formatPrecip(s.precip)} / ${formatPrecip(s.normalPrecip)}
+          <br />${s.pct === null ? "–" : `${s.pct}%`} · ${t(s.precipKey)}</td>
+      </tr>`;
+  });
+  monthsBox.innerHTML = `
+    <table class="compare-table history-table">
+      <thead>
+        <tr>
+          <th scope="col">${t("history.month")}</th>
+          <th scope="col">${t("history.tempCol")}</th>
+          <th scope="col">${t("history.precipCol")}</th>
+        </tr>
+      </thead>
+      <tbody>${rows.join("")}</tbody>
+    </table>`;
+}
@@ -0,0 +1,500 @@
+// hourlychart.js (ES module)
+// Interactive chart of the "Hourly" panel (SVG, no library): temperature and
+// feels-like lines, precipitation bars with the probability of precipitation,
+// and wind arrows. Hover / tap shows a crosshair tooltip; the mouse wheel, the
+// +/− buttons or the keyboard zoom, dragging pans.
+import { svgEl } from "./chart.js";
+import { t, translateDescription } from "./i18n.js";
+import {
+  convert,
+  unitLabel,
+  formatTemp,
+  formatWind,
+  formatPrecip,
+  formatTime,
+  formatDate,
+  localHour,
+} from "./format.js";
+
+// viewBox size and the vertical bands: temperature, precipitation + PoP, wind
+const W = 720;
+const H = 330;
+const PAD = { left: 48, right: 44 };
+const TEMP = { top: 26, bottom: 180 };
+const PRECIP = { top: 192, bottom: 250 };
+const WIND = { top: 262, bottom: 306 };
+const XLAB_Y = 324;
+const PLOT_W = W - PAD.left - PAD.right;
+const MIN_SPAN = 6 * 3600; // closest zoom: 6 hours
+
+const COLORS = {
+  temp: "#e53935",
+  feels: "#fb8c00",
+  rain: "#64b5f6",
+  pop: "#5e35b1",
+  wind: "#455a64",
+};
+
+let chartCount = 0; // unique clipPath ids
+
+// arrow pointing where the wind blows to (wind_deg is where it comes from)
+const ARROWS = ["↓", "↙", "←", "↖", "↑", "↗", "→", "↘"];
+function windArrow(deg) {
+  return ARROWS[Math.round((((deg % 360) + 360) % 360) / 45) % 8];
+}
+
+// typical spacing of the entries (1h, or 3h for the OpenWeather fallback)
+function stepOf(hours) {
+  const diffs = hours
+    .slice(1)
+    .map((h, i) => h.dt - hours[i].dt)
+    .sort((a, b) => a - b);
+  return diffs[Math.floor(diffs.length / 2)] || 3600;
+}
+
+function text(x, y, content, attrs = {}) {
+  const node = svgEl("text", { x, y, ...attrs });
+  node.textContent = content;
+  return node;
+}
+
+function linePath(points) {
+  return points
+    .map(([x, y], i) => `${i ? "L" : "M"}${x.toFixed(1)},${y.toFixed(1)}`)
+    .join(" ");
+}
+
+function tooltipHtml(h, tz) {
+  const lines = [
+    `<strong>${formatDate(
+      h.dt,
+      { weekday: "short", hour: "2-digit", minute: "2-digit" },
+      tz
+    )}</strong>`,
+    translateDescription(h.description || ""),
+    `${t("hourly.temp")}: ${formatTemp(h.temp, 1)}`,
+  ];
+  if (h.feels_like != null)
+    lines.push(`${t("hourly.feels")}: ${formatTemp(h.feels_like, 1)}`);
+  lines.push(
+    t("hourly.rain", { value: formatPrecip(h.rain ?? 0) }) +
+      (h.pop != null
+        ? ` · ${t("hourly.pop")}: ${Math.round(h.pop * 100)}%`
+        : "")
+  );
+  if (h.wind_speed != null) {
+    let wind = `${t("hourly.wind")}: ${formatWind(h.wind_speed)}`;
+    if (h.wind_deg != null) wind += ` ${windArrow(h.wind_deg)}`;
+    if (h.wind_gust != null)
+      wind += ` (${t("hourly.gusts", { value: formatWind(h.wind_gust) })})`;
+    lines.push(wind);
+  }
+  if (h.interpolated) lines.push(`<em>${t("hourly.interpolated")}</em>`);
+  return lines.filter(Boolean).join("<br>");
+}
+
+/**
+ * Draw hours (normalized HourlyWeather, oldest first) into container and wire
+ * the interactions. tz: the location's UTC offset (s) for the time labels.
+ */
+export function renderHourlyChart(container, hours, { tz = null } = {}) {
+  container.innerHTML = "";
+  if (!hours.length) {
+    container.textContent = t("hourly.none");
+    return;
+  }
+
+  const step = stepOf(hours);
+  const first = hours[0].dt;
+  const last = hours[hours.length - 1].dt + step;
+  let view = [first, last];
+  let active = null; // index under the crosshair
+  const clipId = `hc-clip-${++chartCount}`;
+
+  const toolbar = document.createElement("div");
+  toolbar.className = "hc-toolbar";
+  toolbar.innerHTML = `
+    <button type="button" data-zoom="in" title="${t(
+      "hourly.zoomIn"
+    )}" aria-label="${t("hourly.zoomIn")}">+</button>
+    <button type="button" data-zoom="out" title="${t(
+      "hourly.zoomOut"
+    )}" aria-label="${t("hourly.zoomOut")}">−</button>
+    <button type="button" data-zoom="reset">${t("hourly.reset")}</button>
+    <span class="hc-hint">${t("hourly.hint")}</span>`;
+
+  const wrap = document.createElement("div");
+  wrap.className = "hc-wrap";
+  const svg = svgEl("svg", {
+    viewBox: `0 0 ${W} ${H}`,
+    class: "line-chart hourly-chart",
+    role: "img",
+    tabindex: 0,
+    "aria-label": t("hourly.chartLabel"),
+  });
+  const tip = document.createElement("div");
+  tip.className = "hc-tooltip";
+  tip.hidden = true;
+  wrap.append(svg, tip);
+
+  const legend = document.createElement("div");
+  legend.className = "chart-legend";
+  legend.innerHTML = [
+    [COLORS.temp, t("hourly.temp")],
+    [COLORS.feels, t("hourly.feels")],
+    [COLORS.rain, t("hourly.precip")],
+    [COLORS.pop, t("hourly.pop")],
+    [COLORS.wind, t("hourly.wind")],
+  ]
+    .map(([c, name]) => `<span><i style="background:${c}"></i>${name}</span>`)
+    .join("");
+
+  container.append(toolbar, wrap, legend);
+  if (hours.some((h) => h.interpolated)) {
+    const note = document.createElement("div");
+    note.className = "hc-note";
+    note.textContent = t("hourly.interpolatedNote");
+    container.appendChild(note);
+  }
+
+  const sx = (dt) => PAD.left + ((dt - view[0]) / (view[1] - view[0])) * PLOT_W;
+
+  function draw() {
+    svg.replaceChildren();
+    const clip = svgEl("clipPath", { id: clipId });
+    clip.appendChild(
+      svgEl("rect", { x: PAD.left, y: 0, width: PLOT_W, height: H })
+    );
+    const defs = svgEl("defs");
+    defs.appendChild(clip);
+    svg.appendChild(defs);
+    const plot = svgEl("g", { "clip-path": `url(#${clipId})` });
+
+    // entries touching the view (neighbours keep the lines running to the edge)
+    const shown = hours.filter(
+      (h) => h.dt + step >= view[0] && h.dt - step <= view[1]
+    );
+
+    // --- temperature band ---
+    const temps = shown
+      .flatMap((h) => [h.temp, h.feels_like])
+      .filter((v) => v != null)
+      .map((v) => convert("temp", v));
+    const tMin = Math.floor(Math.min(...temps)) - 1;
+    const tMax = Math.ceil(Math.max(...temps)) + 1;
+    const sy = (v) =>
+      TEMP.bottom -
+      ((convert("temp", v) - tMin) / (tMax - tMin)) * (TEMP.bottom - TEMP.top);
+    for (let i = 0; i <= 4; i++) {
+      const v = tMin + ((tMax - tMin) * i) / 4;
+      const y = TEMP.bottom - (i / 4) * (TEMP.bottom - TEMP.top);
+      svg.appendChild(
+        svgEl("line", {
+          x1: PAD.left,
+          x2: W - PAD.right,
+          y1: y,
+          y2: y,
+          class: "grid",
+        })
+      );
+      svg.appendChild(
+        text(PAD.left - 6, y + 4, `${Math.round(v * 10) / 10}`, {
+          class: "ylab",
+        })
+      );
+    }
+    svg.appendChild(
+      text(PAD.left - 6, TEMP.top - 10, unitLabel("temp"), { class: "ylab" })
+    );
+
+    // --- local day separators + day names ---
+    const off = tz ?? -new Date(view[0] * 1000).getTimezoneOffset() * 60;
+    const dayStart = Math.floor((view[0] + off) / 86400) * 86400 - off;
+    for (let d = dayStart; d < view[1]; d += 86400) {
+      if (d > view[0]) {
+        svg.appendChild(
+          svgEl("line", {
+            x1: sx(d),
+            x2: sx(d),
+            y1: 4,
+            y2: WIND.bottom,
+            class: "hc-day",
+          })
+        );
+      }
+      const x = Math.max(sx(d), PAD.left) + 4;
+      // no room before the next midnight: its own label is enough
+      if (d + 86400 < view[1] && sx(d + 86400) - x < 70) continue;
+      svg.appendChild(
+        text(
+          x,
+          14,
+          formatDate(
+            d + 43200,
+            { weekday: "short", day: "2-digit", month: "2-digit" },
+            tz
+          ),
+          { class: "hc-daylab" }
+        )
+      );
+    }
+
+    // --- precipitation bars + PoP line ---
+    const precipH = PRECIP.bottom - PRECIP.top;
+    const rMax = Math.max(
+      convert("precip", 2),
+      ...shown.map((h) => convert("precip", h.rain || 0))
+    );
+    svg.appendChild(
+      svgEl("line", {
+        x1: PAD.left,
+        x2: W - PAD.right,
+        y1: PRECIP.bottom,
+        y2: PRECIP.bottom,
+        class: "grid",
+      })
+    );
+    svg.appendChild(
+      text(
+        PAD.left - 6,
+        PRECIP.top + 8,
+        `${Math.round(rMax * 10) / 10} ${unitLabel("precip")}`,
+        { class: "ylab" }
+      )
+    );
+    svg.appendChild(
+      text(W - PAD.right + 6, PRECIP.top + 8, "100%", { class: "hc-rlab" })
+    );
+    for (const h of shown) {
+      const r = convert("precip", h.rain || 0);
+      if (!r) continue;
+      const bh = (r / rMax) * precipH;
+      plot.appendChild(
+        svgEl("rect", {
+          x: sx(h.dt) + 0.5,
+          y: PRECIP.bottom - bh,
+          width: Math.max(1, sx(h.dt + step) - sx(h.dt) - 1),
+          height: bh,
+          fill: COLORS.rain,
+        })
+      );
+    }
+    const pops = shown
+      .filter((h) => h.pop != null)
+      .map((h) => [sx(h.dt + step / 2), PRECIP.bottom - h.pop * precipH]);
+    if (pops.length) {
+      plot.appendChild(
+        svgEl("path", {
+          d: linePath(pops),
+          fill: "none",
+          stroke: COLORS.pop,
+          "stroke-width": 1.5,
+          "stroke-dasharray": "2 3",
+        })
+      );
+    }
+
+    // --- temperature lines ---
+    for (const [key, color, dashed] of [
+      ["feels_like", COLORS.feels, true],
+      ["temp", COLORS.temp, false],
+    ]) {
+      const pts = shown
+        .filter((h) => h[key] != null)
+        .map((h) => [sx(h.dt), sy(h[key])]);
+      if (!pts.length) continue;
+      const path = svgEl("path", {
+        d: linePath(pts),
+        fill: "none",
+        stroke: color,
+        "stroke-width": 2,
+      });
+      if (dashed) path.setAttribute("stroke-dasharray", "5 4");
+      plot.appendChild(path);
+    }
+
+    // --- wind arrows (thinned out so they don't overlap) ---
+    const every = Math.max(1, Math.ceil(22 / (sx(first + step) - sx(first))));
+    svg.appendChild(
+      text(PAD.left - 6, WIND.bottom, unitLabel("wind"), { class: "ylab" })
+    );
+    shown.forEach((h) => {
+      const idx = hours.indexOf(h);
+      if (idx % every || h.wind_speed == null) return;
+      const x = sx(h.dt);
+      if (h.wind_deg != null) {
+        plot.appendChild(
+          svgEl("path", {
+            d: "M0,-7 L4,4 L0,2 L-4,4 Z",
+            fill: COLORS.wind,
+            transform: `translate(${x.toFixed(1)},${WIND.top + 10}) rotate(${
+              h.wind_deg + 180
+            })`,
+          })
+        );
+      }
+      plot.appendChild(
+        text(x, WIND.bottom, Math.round(convert("wind", h.wind_speed)), {
+          class: "xlab",
+        })
+      );
+    });
+
+    // --- hour labels on the location's clock ---
+    const spanH = (view[1] - view[0]) / 3600;
+    const labelEvery = Math.max(
+      step / 3600,
+      spanH <= 8 ? 1 : spanH <= 16 ? 2 : spanH <= 30 ? 3 : 6
+    );
+    for (const h of shown) {
+      if (h.dt < view[0] || h.dt > view[1]) continue;
+      if (localHour(h.dt, tz) % labelEvery) continue;
+      svg.appendChild(
+        text(sx(h.dt), XLAB_Y, formatTime(h.dt, tz), { class: "xlab" })
+      );
+    }
+
+    svg.appendChild(plot);
+
+    // --- crosshair ---
+    const h = active !== null ? hours[active] : null;
+    if (!h || h.dt < view[0] || h.dt > view[1]) {
+      tip.hidden = true;
+      return;
+    }
+    const x = sx(h.dt);
+    svg.appendChild(
+      svgEl("line", {
+        x1: x,
+        x2: x,
+        y1: TEMP.top,
+        y2: WIND.bottom,
+        class: "hc-cross",
+      })
+    );
+    for (const [key, color] of [
+      ["feels_like", COLORS.feels],
+      ["temp", COLORS.temp],
+    ]) {
+      if (h[key] == null) continue;
+      svg.appendChild(
+        svgEl("circle", {
+          cx: x,
+          cy: sy(h[key]),
+          r: 4,
+          fill: color,
+          stroke: "#fff",
+        })
+      );
+    }
+    tip.innerHTML = tooltipHtml(h, tz);
+    tip.style.left = `${(x / W) * 100}%`;
+    tip.classList.toggle("hc-tooltip--left", x > W * 0.6);
+    tip.hidden = false;
+  }
+
+  // ---- zoom / pan ----
+  function setView(a, b) {
+    const span = Math.min(Math.max(b - a, MIN_SPAN), last - first);
+    const start = Math.min(Math.max(a, first), last - span);
+    const changed = start !== view[0] || start + span !== view[1];
+    view = [start, start + span];
+    return changed;
+  }
+
+  function zoom(factor, center = (view[0] + view[1]) / 2) {
+    return setView(
+      center - (center - view[0]) * factor,
+      center + (view[1] - center) * factor
+    );
+  }
+
+  // client x → viewBox x, and the nearest entry to it
+  function chartX(clientX) {
+    const r = svg.getBoundingClientRect();
+    return ((clientX - r.left) / r.width) * W;
+  }
+  function timeAt(x) {
+    return view[0] + ((x - PAD.left) / PLOT_W) * (view[1] - view[0]);
+  }
+  function nearest(dt) {
+    let best = 0;
+    hours.forEach((h, i) => {
+      if (Math.abs(h.dt - dt) < Math.abs(hours[best].dt - dt)) best = i;
+    });
+    return best;
+  }
+
+  toolbar.addEventListener("click", (e) => {
+    const action = e.target.closest("[data-zoom]")?.dataset.zoom;
+    if (!action) return;
+    if (action === "in") zoom(0.6);
+    else if (action === "out") zoom(1 / 0.6);
+    else setView(first, last);
+    draw();
+  });
+
+  let drag = null;
+  svg.addEventListener("pointerdown", (e) => {
+    drag = { x: e.clientX, view: [...view], moved: false };
+    svg.setPointerCapture(e.pointerId);
+  });
+  svg.addEventListener("pointermove", (e) => {
+    if (drag) {
+      const r = svg.getBoundingClientRect();
+      const dx = ((e.clientX - drag.x) / r.width) * W;
+      if (Math.abs(dx) > 3) drag.moved = true;
+      if (drag.moved) {
+        const shift = (-dx / PLOT_W) * (drag.view[1] - drag.view[0]);
+        setView(drag.view[0] + shift, drag.view[1] + shift);
+      }
+    }
+    active = nearest(timeAt(chartX(e.clientX)));
+    draw();
+  });
+  const endDrag = () => (drag = null);
+  svg.addEventListener("pointerup", endDrag);
+  svg.addEventListener("pointercancel", endDrag);
+  svg.addEventListener("pointerleave", () => {
+    if (drag) return;
+    active = null;
+    draw();
+  });
+  // only swallow the scroll when it actually zooms (fully zoomed out, scrolling
+  // down keeps scrolling the panel)
+  svg.addEventListener(
+    "wheel",
+    (e) => {
+      if (!zoom(e.deltaY > 0 ? 1.25 : 0.8, timeAt(chartX(e.clientX)))) return;
+      e.preventDefault();
+      draw();
+    },
+    { passive: false }
+  );
+  svg.addEventListener("keydown", (e) => {
+    if (e.key === "ArrowLeft" || e.key === "ArrowRight") {
+      const dir = e.key === "ArrowRight" ? 1 : -1;
+      active =
+        active === null
+          ? nearest(view[0])
+          : Math.min(hours.length - 1, Math.max(0, active + dir));
+      const dt = hours[active].dt;
+      if (dt < view[0] || dt > view[1]) {
+        const span = view[1] - view[0];
+        setView(dt - span / 2, dt + span / 2);
+      }
+    } else if (e.key === "+" || e.key === "=") zoom(0.8);
+    else if (e.key === "-") zoom(1.25);
+    else if (e.key === "0") setView(first, last);
+    else if (e.key === "Escape") active = null;
+    else return;
+    e.preventDefault();
+    draw();
+  });
+  svg.addEventListener("blur", () => {
+    active = null;
+    draw();
+  });
+
+  draw();
+}
@@ -0,0 +1,875 @@
+// i18n.js (ES module)
+// Message catalogs (English / Vietnamese) and t() lookup.
+// Static text in index.html is tagged with data-i18n="key" (textContent),
+// data-i18n-placeholder / data-i18n-label (placeholder / aria-label).
+import { getSettings } from "./settings.js";
+
+const en = {
+  "common.loading": "Loading...",
+  "common.unknown": "Unknown",
+  "common.unknownPlace": "Unknown place",
+  "common.noData": "No data.",
+
+  "header.search": "Enter your location",
+  "header.openMap": "Use my location",
+  "header.follow": "Follow my location",
+  "header.provider": "Data",
+  "header.settings": "Settings",
+  "header.favorites": "Favorites",
+
+  "settings.title": "Settings",
+  "settings.units": "Units",
+  "settings.system.metric": "Metric",
+  "settings.system.imperial": "Imperial",
+  "settings.system.custom": "Custom",
+  "settings.temp": "Temperature",
+  "settings.wind": "Wind",
+  "settings.precip": "Precipitation",
+  "settings.elevation": "Elevation",
+  "settings.clock": "Time format",
+  "settings.clock.24h": "24-hour",
+  "settings.clock.12h": "12-hour",
+  "settings.lang": "Language",
+  "settings.close": "Close",
+
+  "info.elevation": "Elevation: {value}",
+  "info.climate": "Climate type: {value}",
+  "koppen.noData": "No data",
+  "info.feelsLike": "Feels like: {value}",
+  "info.minMax": "Min {min} / Max {max}",
+  "info.localTime": "Local time: {time} ({offset})",
+  "grid.temperature": "🌡️ Temperature",
+  "grid.humidity": "💧 Humidity",
+  "grid.wind": "🌬️ Wind",
+  "grid.precip": "☔ Precipitation",
+  "grid.uv": "☀️ UV Index",
+  "grid.aqi": "🌫️ Air quality",
+  "grid.comfort": "😊 Comfort",
+
+  "comfort.cold.1": "Very cold – frost risk",
+  "comfort.cold.2": "Cold",
+  "comfort.cold.3": "Cool",
+  "comfort.cold.4": "Slightly cool",
+  "comfort.ok.5": "Comfortable",
+  "comfort.heat.4": "Slightly warm",
+  "comfort.heat.3": "Warm – caution",
+  "comfort.heat.2": "Hot – extreme caution",
+  "comfort.heat.1": "Dangerous heat",
+  "comfort.method.heatIndex": "heat index",
+  "comfort.method.windChill": "wind chill",
+  "comfort.method.apparent": "apparent temperature",
+  "comfort.method.temperature": "air temperature",
+  "comfort.tooltip":
+    "{label}: feels like {value} ({method}), from {temp}, humidity {humidity}, wind {wind}.",
+  "comfort.future": "Comfort: {label}",
+
+  "alerts.title": "Weather alerts ({count})",
+  "alerts.sender": "Issued by {sender}",
+  "alerts.validity": "Valid {start} – {end}",
+  "alerts.dismiss": "Dismiss alert",
+
+  "uv.low": "Low",
+  "uv.moderate": "Moderate",
+  "uv.high": "High",
+  "uv.veryHigh": "Very High",
+  "uv.extreme": "Extreme",
+
+  "btn.future": "Future Weather",
+  "btn.hourly": "Hourly Weather",
+  "btn.planning": "For planning",
+  "btn.self": "Self forecasting",
+  "btn.compare": "Compare pins",
+  "btn.history": "History",
+  "btn.air": "Air quality",
+  "btn.watches": "Watches",
+
+  "future.title": "10-day forecast",
+  "future.humidity": "Humidity {value}",
+  "future.uv": "UV {value}",
+  "future.rain": "Rain {value}",
+  "future.wind": "Wind {value}",
+  "future.error":
+    "Could not load the 10-day forecast (check the API key/subscription).",
+
+  "hourly.title": "Hourly forecast (next 48h)",
+  "hourly.rain": "Rain: {value}",
+  "hourly.temp": "Temperature",
+  "hourly.feels": "Feels like",
+  "hourly.precip": "Precipitation",
+  "hourly.pop": "Chance of rain",
+  "hourly.wind": "Wind",
+  "hourly.gusts": "gusts {value}",
+  "hourly.interpolated": "Estimated between 3-hour forecast points",
+  "hourly.interpolatedNote":
+    "Hourly values are interpolated from the 3-hour forecast (free OpenWeather plan); precipitation totals are spread evenly over each 3-hour window.",
+  "hourly.zoomIn": "Zoom in",
+  "hourly.zoomOut": "Zoom out",
+  "hourly.reset": "Reset zoom",
+  "hourly.hint": "Hover for details · scroll or +/− to zoom · drag to pan",
+  "hourly.chartLabel":
+    "Hourly chart of temperature, feels-like, precipitation and wind. Use the arrow keys to step through the hours.",
+  "hourly.none": "No hourly data available.",
+  "hourly.error": "Could not load the hourly forecast.",
+
+  "planning.title": "Plan an outdoor activity",
+  "planning.activity": "Activity",
+  "planning.custom": "Custom",
+  "planning.hiking": "Hiking",
+  "planning.beach": "Beach",
+  "planning.survey": "Field survey",
+  "planning.cycling": "Cycling",
+  "planning.tempMin": "Min temp ({unit})",
+  "planning.tempMax": "Max temp ({unit})",
+  "planning.windMax": "Max wind ({unit})",
+  "planning.rainMax": "Max rain ({unit})",
+  "planning.popMax": "Max rain chance (%)",
+  "planning.uvMax": "Max UV",
+  "planning.submit": "Find best times",
+  "planning.tooCold": "Too cold ({value} < {limit})",
+  "planning.tooHot": "Too hot ({value} > {limit})",
+  "planning.tooWindy": "Too windy ({value} > {limit})",
+  "planning.tooWet": "Too much rain ({value} > {limit})",
+  "planning.rainLikely": "Rain likely ({value} > {limit})",
+  "planning.uvHigh": "UV too high ({value} > {limit})",
+  "planning.good": "Good",
+  "planning.window": "{hours}h window",
+  "planning.noWindow": "No suitable window in the next 24h.",
+  "planning.bestDays": "Best days",
+  "planning.bestWindows": "Best windows (next 24h)",
+  "planning.whyFailed": "Why other hours failed",
+  "planning.noDaily": "No daily data.",
+  "planning.error":
+    "Could not load the forecast for planning (check the API key/subscription).",
+
+  "self.title": "Self forecast vs provider forecast",
+  "self.nextHours": "Next hours",
+  "self.dailyMinMax": "Daily min / max",
+  "self.error":
+    "Could not get the current observation to run the model (check the API key).",
+  "self.climate": "Climate: {value} · Elevation: {elevation}",
+  "self.anomaly":
+    "Current anomaly vs climatology: {anomaly} · Trend: {trend} ({n} local obs.)",
+  "self.hourlyStats": "Hourly vs {provider}: MAE {mae}, bias {bias} ({n} h)",
+  "self.dailyStats": "Daily min/max vs {provider}: MAE {mae}, bias {bias}",
+  "self.hourlyMissing": "{provider} hourly forecast not available.",
+  "self.dailyMissing": "{provider} daily forecast not available.",
+  "self.series": "Self forecast",
+  "self.max": "Self max",
+  "self.min": "Self min",
+
+  "compare.title": "Compare pinned locations",
+  "compare.hourly": "Temperature, next 24h",
+  "compare.daily": "10-day min (dashed) / max",
+  "compare.empty":
+    "No pinned locations yet. Click the map or search a place, then use “📌 Pin to compare” in the marker popup.",
+  "compare.error": "Could not load the comparison data.",
+  "compare.coordinates": "Coordinates",
+  "compare.climate": "Climate type",
+  "compare.elevation": "Elevation",
+  "compare.conditions": "Conditions",
+  "compare.temp": "Temperature",
+  "compare.feelsLike": "Feels like",
+  "compare.today": "Today min / max",
+  "compare.humidity": "Humidity",
+  "compare.wind": "Wind",
+  "compare.precip": "Precipitation",
+  "compare.uv": "UV index",
+  "compare.unpin": "Unpin {name}",
+  "compare.clear": "Clear all pins",
+
+  "series.max": "{name} max",
+  "series.min": "{name} min",
+
+  "map.pin": "📌 Pin to compare",
+  "map.unpin": "Unpin",
+  "map.pinsFull": "Max {max} pins – unpin one first",
+  "map.alerted": "Weather alert in effect",
+
+  "pwa.install": "Install app",
+  "pwa.offline": "Offline",
+  "pwa.dataAsOf": "Offline – data as of {time}",
+
+  "favorites.title": "Favorites",
+  "favorites.empty": "No favorites yet – star a location to keep it here.",
+  "favorites.recent": "Recent",
+  "favorites.noRecent": "No recent locations.",
+  "favorites.clearRecent": "Clear",
+  "favorites.remove": "Remove {name} from favorites",
+  "favorites.star": "Add to favorites",
+  "favorites.unstar": "Remove from favorites",
+  "favorites.close": "Close favorites",
+  "favorites.noData": "No data",
+  "favorites.add": "☆ Add to favorites",
+  "favorites.inFavorites": "★ In favorites",
+  "favorites.searchFavorites": "Favorites",
+
+  "export.button": "⬇ Export",
+  "export.hourlyCsv": "Hourly forecast (CSV)",
+  "export.hourlyJson": "Hourly forecast (JSON)",
+  "export.dailyCsv": "Daily forecast (CSV)",
+  "export.dailyJson": "Daily forecast (JSON)",
+  "export.ics": "Calendar (.ics)",
+  "export.print": "Print / PDF report",
+  "export.noLocation": "Pick a location on the map first.",
+  "export.error": "Export failed – try again.",
+  "export.icsCalendar": "Weather – {place}",
+  "export.icsSummary": "{description} {min}/{max} – {place}",
+  "export.icsDescription":
+    "Precipitation {rain} (chance {pop}%)\nWind {wind}\nUV {uvi}",
+  "export.reportGenerated": "Report of {time} · data: {provider}",
+  "export.mapAlt": "Map of the location",
+  "export.noMap": "Map snapshot unavailable.",
+  "export.reportNow": "Now",
+  "export.reportDaily": "Daily forecast",
+  "export.reportHourly": "Next 24 hours",
+  "export.reportFooter":
+    "Weather Risk Assessment – Rainbow Cloud. Map © OpenStreetMap contributors; climate class: Köppen-Geiger (Beck et al.).",
+  "export.colDay": "Day",
+  "export.colTime": "Time",
+  "export.colMinMax": "Min / max",
+  "export.colTemp": "Temp.",
+  "export.colRain": "Precip.",
+  "export.colPop": "Chance",
+  "export.colWind": "Wind",
+  "export.colUv": "UV",
+  "export.colWeather": "Weather",
+
+  "history.title": "Last 30 days vs climate normals",
+  "history.tempTitle": "Daily temperature anomaly",
+  "history.precipTitle": "Precipitation, running total",
+  "history.error": "Could not load the past weather for this location.",
+  "history.period": "From {from} to {to}",
+  "history.tempSummary":
+    "Mean temperature {value} (normal {normal}): {anomaly}, {verdict}",
+  "history.precipPct": "Precipitation {value}, {pct}% of the normal {normal}",
+  "history.precipAbs": "Precipitation {value} (normal {normal})",
+  "history.source":
+    "Open-Meteo data; normals = {from}–{to} average (ERA5 reanalysis)",
+  "history.dayTitle": "{day}: {value} (normal {normal}), {anomaly}",
+  "history.warmer": "Warmer than normal",
+  "history.colder": "Colder than normal",
+  "history.observed": "Observed",
+  "history.normal": "Normal",
+  "history.days": "{n} days",
+  "history.month": "Month",
+  "history.tempCol": "Temperature / normal",
+  "history.precipCol": "Precipitation / normal",
+  "history.temp.muchWarmer": "much warmer than usual",
+  "history.temp.warmer": "warmer than usual",
+  "history.temp.normal": "about normal",
+  "history.temp.colder": "colder than usual",
+  "history.temp.muchColder": "much colder than usual",
+  "history.precip.muchDrier": "much drier than usual",
+  "history.precip.drier": "drier than usual",
+  "history.precip.normal": "about normal",
+  "history.precip.wetter": "wetter than usual",
+  "history.precip.muchWetter": "much wetter than usual",
+
+  "aqi.title": "Air quality",
+  "aqi.forecastTitle": "AQI forecast (US EPA scale)",
+  "aqi.error": "Could not load the air quality for this location.",
+  "aqi.source":
+    "US AQI at {time}, from the CAMS model via Open-Meteo (about 10–40 km resolution)",
+  "aqi.pollutant": "Pollutant",
+  "aqi.concentration": "µg/m³",
+  "aqi.guideline": "WHO guideline",
+  "aqi.ratio": "× guideline",
+  "aqi.guidelineNote":
+    "WHO 2021 air quality guidelines: 24-hour means, 8-hour mean for O₃. Current values are hourly.",
+  "aqi.level.good": "Good",
+  "aqi.level.moderate": "Moderate",
+  "aqi.level.sensitive": "Unhealthy for sensitive groups",
+  "aqi.level.unhealthy": "Unhealthy",
+  "aqi.level.veryUnhealthy": "Very unhealthy",
+  "aqi.level.hazardous": "Hazardous",
+  "aqi.advice.good": "Air quality is satisfactory; enjoy outdoor activities.",
+  "aqi.advice.moderate":
+    "Acceptable; unusually sensitive people should limit long or heavy exertion outdoors.",
+  "aqi.advice.sensitive":
+    "Children, older adults and people with heart or lung disease should reduce long or heavy exertion outdoors.",
+  "aqi.advice.unhealthy":
+    "Everyone should reduce heavy exertion outdoors; sensitive groups should avoid it.",
+  "aqi.advice.veryUnhealthy":
+    "Health alert: avoid long exertion outdoors, keep windows closed, consider a mask (N95/KN95).",
+  "aqi.advice.hazardous":
+    "Health emergency: everyone should stay indoors and avoid physical activity outside.",
+
+  "watches.title": "Weather watches",
+  "watches.historyTitle": "Triggered",
+  "watches.place": "Place",
+  "watches.metric": "Watch",
+  "watches.op": "Condition",
+  "watches.threshold": "Threshold",
+  "watches.when": "When",
+  "watches.add": "Add watch",
+  "watches.noPlaces":
+    "Pick a location on the map or star a favorite to set a watch on it.",
+  "watches.empty": "No watches yet.",
+  "watches.remove": "Delete watch",
+  "watches.checkNow": "Check now",
+  "watches.never": "Not checked yet",
+  "watches.lastOk": "Checked {time}: {value}",
+  "watches.lastTriggered": "Checked {time}: {value} – threshold reached",
+  "watches.lastNoData": "Checked {time}: no forecast value",
+  "watches.lastError": "Checked {time}: the forecast could not be loaded",
+  "watches.noHistory": "No watch has triggered yet.",
+  "watches.clearHistory": "Clear history",
+  "watches.describe": "{metric} {op} {value} {span}",
+  "watches.metric.rain": "Rain",
+  "watches.metric.tmin": "Min temperature",
+  "watches.metric.tmax": "Max temperature",
+  "watches.metric.wind": "Wind",
+  "watches.metric.pop": "Chance of rain",
+  "watches.metric.uvi": "UV index",
+  "watches.span.today": "today",
+  "watches.span.tomorrow": "tomorrow",
+  "watches.span.next24h": "in the next 24 h",
+  "watches.notifyTitle": "Weather watch: {place}",
+  "watches.notifyBody": "{rule} (forecast: {value})",
+  "watches.unsupported": "This browser cannot show notifications.",
+  "watches.enable": "Enable notifications",
+  "watches.permission.default":
+    "Watches are checked every 30 minutes while the app is open.",
+  "watches.permission.granted":
+    "Notifications are on. Watches are checked every 30 minutes while the app is open.",
+  "watches.permission.denied":
+    "Notifications are blocked for this site; triggered watches are only listed below.",
+
+  "search.goTo": "Go to {lat}, {lon}",
+  "search.results": "Places",
+  "search.noResults": "No matching place",
+
+  "geo.locating": "Finding your location...",
+  "geo.accuracy": "Your location (±{distance})",
+  "geo.lowAccuracy":
+    "Approximate location (±{distance}) – the weather shown is for the circle's centre",
+  "geo.denied":
+    "Location access was denied. Allow it in the browser's site settings, or search / click the map instead.",
+  "geo.unavailable": "Your location could not be determined.",
+  "geo.timeout": "Finding your location took too long – try again.",
+  "geo.unsupported": "This browser cannot share your location.",
+  "geo.follow": "Follow my location",
+  "geo.stopFollow": "Stop following my location",
+
+  "radar.toggle": "Radar",
+  "radar.play": "Play",
+  "radar.pause": "Pause",
+  "radar.prev": "Previous frame",
+  "radar.next": "Next frame",
+  "radar.slider": "Radar frame time",
+  "radar.past": "observed",
+  "radar.forecast": "forecast",
+  "radar.off": "Turn on the radar to follow rain over the last 2 hours",
+  "radar.loadingList": "Loading radar…",
+  "radar.loading": "preloading {done}/{total}",
+  "radar.error": "Radar unavailable",
+
+  "layers.koppen": "Köppen climate",
+  "layers.precipitation": "Precipitation",
+  "layers.clouds": "Clouds",
+  "layers.temp": "Temperature",
+  "layers.wind": "Wind speed",
+  "layers.pressure": "Sea-level pressure",
+  "layers.aqi": "Air quality (US AQI)",
+  "layers.opacity": "Opacity",
+  "layers.opacityOf": "Opacity of {name}",
+  "map.legend": "Köppen-Geiger climate",
+  "map.all": "All",
+  "map.none": "None",
+
+  "koppenGroup.A": "Tropical",
+  "koppenGroup.B": "Arid",
+  "koppenGroup.C": "Temperate",
+  "koppenGroup.D": "Cold",
+  "koppenGroup.E": "Polar",
+
+  "region.title": "Climate zones in drawn region",
+  "region.empty": "The region has no classified land pixels.",
+  "region.loading":
+    "Köppen raster is still loading; the statistics appear once it is ready.",
+  "region.failed": "The Köppen raster could not be loaded.",
+  "region.dominant": "Dominant",
+  "region.area": "Land area",
+  "region.noData": "no data/ocean",
+  "region.sampled": "sampled every {n} pixels",
+  "region.export": "Export CSV",
+};
+
+const vi = {
+  "common.loading": "Đang tải...",
+  "common.unknown": "Không rõ",
+  "common.unknownPlace": "Địa điểm không rõ",
+  "common.noData": "Không có dữ liệu.",
+
+  "header.search": "Nhập địa điểm",
+  "header.openMap": "Dùng vị trí của tôi",
+  "header.follow": "Theo dõi vị trí của tôi",
+  "header.provider": "Dữ liệu",
+  "header.settings": "Cài đặt",
+  "header.favorites": "Địa điểm yêu thích",
+
+  "settings.title": "Cài đặt",
+  "settings.units": "Đơn vị",
+  "settings.system.metric": "Hệ mét",
+  "settings.system.imperial": "Hệ Anh",
+  "settings.system.custom": "Tùy chỉnh",
+  "settings.temp": "Nhiệt độ",
+  "settings.wind": "Gió",
+  "settings.precip": "Lượng mưa",
+  "settings.elevation": "Độ cao",
+  "settings.clock": "Định dạng giờ",
+  "settings.clock.24h": "24 giờ",
+  "settings.clock.12h": "12 giờ",
+  "settings.lang": "Ngôn ngữ",
+  "settings.close": "Đóng",
+
+  "info.elevation": "Độ cao: {value}",
+  "info.climate": "Kiểu khí hậu: {value}",
+  "koppen.noData": "Không có dữ liệu",
+  "info.feelsLike": "Cảm giác như: {value}",
+  "info.minMax": "Thấp {min} / Cao {max}",
+  "info.localTime": "Giờ địa phương: {time} ({offset})",
+  "grid.temperature": "🌡️ Nhiệt độ",
+  "grid.humidity": "💧 Độ ẩm",
+  "grid.wind": "🌬️ Gió",
+  "grid.precip": "☔ Lượng mưa",
+  "grid.uv": "☀️ Chỉ số UV",
+  "grid.aqi": "🌫️ Không khí",
+  "grid.comfort": "😊 Dễ chịu",
+
+  "comfort.cold.1": "Rất lạnh – nguy cơ sương giá",
+  "comfort.cold.2": "Lạnh",
+  "comfort.cold.3": "Mát",
+  "comfort.cold.4": "Hơi mát",
+  "comfort.ok.5": "Dễ chịu",
+  "comfort.heat.4": "Hơi ấm",
+  "comfort.heat.3": "Nóng – cần chú ý",
+  "comfort.heat.2": "Rất nóng – hết sức cẩn trọng",
+  "comfort.heat.1": "Nóng nguy hiểm",
+  "comfort.method.heatIndex": "chỉ số nhiệt",
+  "comfort.method.windChill": "gió lạnh",
+  "comfort.method.apparent": "nhiệt độ cảm nhận",
+  "comfort.method.temperature": "nhiệt độ không khí",
+  "comfort.tooltip":
+    "{label}: cảm giác như {value} ({method}), tính từ {temp}, độ ẩm {humidity}, gió {wind}.",
+  "comfort.future": "Mức dễ chịu: {label}",
+
+  "alerts.title": "Cảnh báo thời tiết ({count})",
+  "alerts.sender": "Cơ quan phát hành: {sender}",
+  "alerts.validity": "Hiệu lực {start} – {end}",
+  "alerts.dismiss": "Ẩn cảnh báo",
+
+  "uv.low": "Thấp",
+  "uv.moderate": "Trung bình",
+  "uv.high": "Cao",
+  "uv.veryHigh": "Rất cao",
+  "uv.extreme": "Cực độ",
+
+  "btn.future": "Dự báo các ngày tới",
+  "btn.hourly": "Dự báo theo giờ",
+  "btn.planning": "Lập kế hoạch",
+  "btn.self": "Tự dự báo",
+  "btn.compare": "So sánh điểm ghim",
+  "btn.history": "Lịch sử",
+  "btn.air": "Không khí",
+  "btn.watches": "Theo dõi",
+
+  "future.title": "Dự báo 10 ngày",
+  "future.humidity": "Độ ẩm {value}",
+  "future.uv": "UV {value}",
+  "future.rain": "Mưa {value}",
+  "future.wind": "Gió {value}",
+  "future.error":
+    "Không thể tải dữ liệu dự báo 10 ngày (kiểm tra API key/gói truy cập).",
+
+  "hourly.title": "Dự báo theo giờ (48h tới)",
+  "hourly.rain": "Mưa: {value}",
+  "hourly.temp": "Nhiệt độ",
+  "hourly.feels": "Cảm giác như",
+  "hourly.precip": "Lượng mưa",
+  "hourly.pop": "Khả năng mưa",
+  "hourly.wind": "Gió",
+  "hourly.gusts": "giật {value}",
+  "hourly.interpolated": "Giá trị ước tính giữa hai mốc dự báo 3 giờ",
+  "hourly.interpolatedNote":
+    "Dữ liệu theo giờ được nội suy từ dự báo 3 giờ (gói OpenWeather miễn phí); lượng mưa mỗi khoảng 3 giờ được chia đều cho từng giờ.",
+  "hourly.zoomIn": "Phóng to",
+  "hourly.zoomOut": "Thu nhỏ",
+  "hourly.reset": "Về mặc định",
+  "hourly.hint":
+    "Di chuột để xem chi tiết · cuộn hoặc +/− để phóng to · kéo để di chuyển",
+  "hourly.chartLabel":
+    "Biểu đồ theo giờ: nhiệt độ, cảm giác như, lượng mưa và gió. Dùng phím mũi tên để chuyển giữa các giờ.",
+  "hourly.none": "Không có dữ liệu theo giờ.",
+  "hourly.error": "Không thể tải dữ liệu hourly.",
+
+  "planning.title": "Lập kế hoạch hoạt động ngoài trời",
+  "planning.activity": "Hoạt động",
+  "planning.custom": "Tùy chỉnh",
+  "planning.hiking": "Leo núi",
+  "planning.beach": "Đi biển",
+  "planning.survey": "Khảo sát thực địa",
+  "planning.cycling": "Đạp xe",
+  "planning.tempMin": "Nhiệt độ tối thiểu ({unit})",
+  "planning.tempMax": "Nhiệt độ tối đa ({unit})",
+  "planning.windMax": "Gió tối đa ({unit})",
+  "planning.rainMax": "Mưa tối đa ({unit})",
+  "planning.popMax": "Khả năng mưa tối đa (%)",
+  "planning.uvMax": "UV tối đa",
+  "planning.submit": "Tìm thời điểm tốt nhất",
+  "planning.tooCold": "Quá lạnh ({value} < {limit})",
+  "planning.tooHot": "Quá nóng ({value} > {limit})",
+  "planning.tooWindy": "Gió quá mạnh ({value} > {limit})",
+  "planning.tooWet": "Mưa quá nhiều ({value} > {limit})",
+  "planning.rainLikely": "Có khả năng mưa ({value} > {limit})",
+  "planning.uvHigh": "UV quá cao ({value} > {limit})",
+  "planning.good": "Tốt",
+  "planning.window": "Khung {hours} giờ",
+  "planning.noWindow": "Không có khung giờ phù hợp trong 24h tới.",
+  "planning.bestDays": "Ngày tốt nhất",
+  "planning.bestWindows": "Khung giờ tốt nhất (24h tới)",
+  "planning.whyFailed": "Vì sao các giờ khác không đạt",
+  "planning.noDaily": "Không có dữ liệu theo ngày.",
+  "planning.error":
+    "Không thể tải dữ liệu dự báo để lập kế hoạch (kiểm tra API key/gói truy cập).",
+
+  "self.title": "Tự dự báo so với dự báo của nhà cung cấp",
+  "self.nextHours": "Các giờ tới",
+  "self.dailyMinMax": "Thấp nhất / cao nhất theo ngày",
+  "self.error":
+    "Không thể lấy quan trắc hiện tại để chạy mô hình (kiểm tra API key).",
+  "self.climate": "Khí hậu: {value} · Độ cao: {elevation}",
+  "self.anomaly":
+    "Dị thường hiện tại so với khí hậu: {anomaly} · Xu hướng: {trend} ({n} quan trắc)",
+  "self.hourlyStats":
+    "Theo giờ so với {provider}: MAE {mae}, lệch {bias} ({n} giờ)",
+  "self.dailyStats":
+    "Min/max theo ngày so với {provider}: MAE {mae}, lệch {bias}",
+  "self.hourlyMissing": "Không có dự báo theo giờ của {provider}.",
+  "self.dailyMissing": "Không có dự báo theo ngày của {provider}.",
+  "self.series": "Tự dự báo",
+  "self.max": "Tự dự báo cao",
+  "self.min": "Tự dự báo thấp",
+
+  "compare.title": "So sánh các địa điểm đã ghim",
+  "compare.hourly": "Nhiệt độ 24h tới",
+  "compare.daily": "Thấp (nét đứt) / cao 10 ngày",
+  "compare.empty":
+    "Chưa ghim địa điểm nào. Bấm lên bản đồ hoặc tìm địa điểm, rồi chọn “📌 Ghim để so sánh” trong popup của marker.",
+  "compare.error": "Không thể tải dữ liệu so sánh.",
+  "compare.coordinates": "Tọa độ",
+  "compare.climate": "Kiểu khí hậu",
+  "compare.elevation": "Độ cao",
+  "compare.conditions": "Thời tiết",
+  "compare.temp": "Nhiệt độ",
+  "compare.feelsLike": "Cảm giác như",
+  "compare.today": "Hôm nay thấp / cao",
+  "compare.humidity": "Độ ẩm",
+  "compare.wind": "Gió",
+  "compare.precip": "Lượng mưa",
+  "compare.uv": "Chỉ số UV",
+  "compare.unpin": "Bỏ ghim {name}",
+  "compare.clear": "Bỏ ghim tất cả",
+
+  "series.max": "{name} cao",
+  "series.min": "{name} thấp",
+
+  "map.pin": "📌 Ghim để so sánh",
+  "map.unpin": "Bỏ ghim",
+  "map.pinsFull": "Tối đa {max} điểm ghim – hãy bỏ bớt",
+  "map.alerted": "Đang có cảnh báo thời tiết",
+
+  "pwa.install": "Cài ứng dụng",
+  "pwa.offline": "Mất kết nối",
+  "pwa.dataAsOf": "Ngoại tuyến – dữ liệu lúc {time}",
+
+  "favorites.title": "Yêu thích",
+  "favorites.empty": "Chưa có địa điểm yêu thích – bấm ☆ để lưu một địa điểm.",
+  "favorites.recent": "Gần đây",
+  "favorites.noRecent": "Chưa xem địa điểm nào.",
+  "favorites.clearRecent": "Xóa",
+  "favorites.remove": "Bỏ {name} khỏi yêu thích",
+  "favorites.star": "Thêm vào yêu thích",
+  "favorites.unstar": "Bỏ khỏi yêu thích",
+  "favorites.close": "Đóng danh sách yêu thích",
+  "favorites.noData": "Không có dữ liệu",
+  "favorites.add": "☆ Thêm vào yêu thích",
+  "favorites.inFavorites": "★ Đã yêu thích",
+  "favorites.searchFavorites": "Yêu thích",
+
+  "export.button": "⬇ Xuất",
+  "export.hourlyCsv": "Dự báo theo giờ (CSV)",
+  "export.hourlyJson": "Dự báo theo giờ (JSON)",
+  "export.dailyCsv": "Dự báo theo ngày (CSV)",
+  "export.dailyJson": "Dự báo theo ngày (JSON)",
+  "export.ics": "Lịch (.ics)",
+  "export.print": "In / báo cáo PDF",
+  "export.noLocation": "Hãy chọn một địa điểm trên bản đồ trước.",
+  "export.error": "Xuất dữ liệu thất bại – hãy thử lại.",
+  "export.icsCalendar": "Thời tiết – {place}",
+  "export.icsSummary": "{description} {min}/{max} – {place}",
+  "export.icsDescription":
+    "Lượng mưa {rain} (khả năng {pop}%)\nGió {wind}\nUV {uvi}",
+  "export.reportGenerated": "Báo cáo lúc {time} · dữ liệu: {provider}",
+  "export.mapAlt": "Bản đồ địa điểm",
+  "export.noMap": "Không tạo được ảnh bản đồ.",
+  "export.reportNow": "Hiện tại",
+  "export.reportDaily": "Dự báo theo ngày",
+  "export.reportHourly": "24 giờ tới",
+  "export.reportFooter":
+    "Weather Risk Assessment – Rainbow Cloud. Bản đồ © OpenStreetMap contributors; kiểu khí hậu: Köppen-Geiger (Beck et al.).",
+  "export.colDay": "Ngày",
+  "export.colTime": "Giờ",
+  "export.colMinMax": "Thấp / cao",
+  "export.colTemp": "Nhiệt độ",
+  "export.colRain": "Lượng mưa",
+  "export.colPop": "Khả năng mưa",
+  "export.colWind": "Gió",
+  "export.colUv": "UV",
+  "export.colWeather": "Thời tiết",
+
+  "history.title": "30 ngày qua so với chuẩn khí hậu",
+  "history.tempTitle": "Chênh lệch nhiệt độ từng ngày",
+  "history.precipTitle": "Lượng mưa cộng dồn",
+  "history.error": "Không tải được dữ liệu thời tiết đã qua của địa điểm này.",
+  "history.period": "Từ {from} đến {to}",
+  "history.tempSummary":
+    "Nhiệt độ trung bình {value} (bình thường {normal}): {anomaly}, {verdict}",
+  "history.precipPct":
+    "Lượng mưa {value}, bằng {pct}% mức bình thường {normal}",
+  "history.precipAbs": "Lượng mưa {value} (bình thường {normal})",
+  "history.source":
+    "Dữ liệu Open-Meteo; chuẩn khí hậu = trung bình {from}–{to} (tái phân tích ERA5)",
+  "history.dayTitle": "{day}: {value} (bình thường {normal}), {anomaly}",
+  "history.warmer": "Ấm hơn bình thường",
+  "history.colder": "Lạnh hơn bình thường",
+  "history.observed": "Thực đo",
+  "history.normal": "Bình thường",
+  "history.days": "{n} ngày",
+  "history.month": "Tháng",
+  "history.tempCol": "Nhiệt độ / bình thường",
+  "history.precipCol": "Lượng mưa / bình thường",
+  "history.temp.muchWarmer": "ấm hơn nhiều so với mọi năm",
+  "history.temp.warmer": "ấm hơn mọi năm",
+  "history.temp.normal": "gần như bình thường",
+  "history.temp.colder": "lạnh hơn mọi năm",
+  "history.temp.muchColder": "lạnh hơn nhiều so với mọi năm",
+  "history.precip.muchDrier": "khô hơn nhiều so với mọi năm",
+  "history.precip.drier": "khô hơn mọi năm",
+  "history.precip.normal": "gần như bình thường",
+  "history.precip.wetter": "mưa nhiều hơn mọi năm",
+  "history.precip.muchWetter": "mưa nhiều hơn hẳn mọi năm",
+
+  "aqi.title": "Chất lượng không khí",
+  "aqi.forecastTitle": "Dự báo AQI (thang US EPA)",
+  "aqi.error": "Không tải được chất lượng không khí của địa điểm này.",
+  "aqi.source":
+    "AQI (thang Mỹ) lúc {time}, theo mô hình CAMS qua Open-Meteo (độ phân giải khoảng 10–40 km)",
+  "aqi.pollutant": "Chất ô nhiễm",
+  "aqi.concentration": "µg/m³",
+  "aqi.guideline": "Hướng dẫn WHO",
+  "aqi.ratio": "× hướng dẫn",
+  "aqi.guidelineNote":
+    "Hướng dẫn chất lượng không khí WHO 2021: trung bình 24 giờ, riêng O₃ là trung bình 8 giờ. Giá trị hiện tại là theo giờ.",
+  "aqi.level.good": "Tốt",
+  "aqi.level.moderate": "Trung bình",
+  "aqi.level.sensitive": "Kém (nhóm nhạy cảm)",
+  "aqi.level.unhealthy": "Xấu",
+  "aqi.level.veryUnhealthy": "Rất xấu",
+  "aqi.level.hazardous": "Nguy hại",
+  "aqi.advice.good": "Không khí trong lành, thoải mái hoạt động ngoài trời.",
+  "aqi.advice.moderate":
+    "Chấp nhận được; người rất nhạy cảm nên hạn chế vận động mạnh hoặc lâu ngoài trời.",
+  "aqi.advice.sensitive":
+    "Trẻ em, người cao tuổi và người có bệnh tim, phổi nên giảm vận động mạnh hoặc lâu ngoài trời.",
+  "aqi.advice.unhealthy":
+    "Mọi người nên giảm vận động mạnh ngoài trời; nhóm nhạy cảm nên tránh.",
+  "aqi.advice.veryUnhealthy":
+    "Cảnh báo sức khỏe: tránh vận động lâu ngoài trời, đóng cửa sổ, cân nhắc đeo khẩu trang (N95/KN95).",
+  "aqi.advice.hazardous":
+    "Tình trạng khẩn cấp: mọi người nên ở trong nhà và tránh hoạt động ngoài trời.",
+
+  "watches.title": "Theo dõi ngưỡng thời tiết",
+  "watches.historyTitle": "Đã vượt ngưỡng",
+  "watches.place": "Địa điểm",
+  "watches.metric": "Theo dõi",
+  "watches.op": "Điều kiện",
+  "watches.threshold": "Ngưỡng",
+  "watches.when": "Khi nào",
+  "watches.add": "Thêm",
+  "watches.noPlaces":
+    "Hãy chọn một địa điểm trên bản đồ hoặc đánh dấu yêu thích để đặt ngưỡng theo dõi.",
+  "watches.empty": "Chưa có ngưỡng theo dõi nào.",
+  "watches.remove": "Xóa ngưỡng theo dõi",
+  "watches.checkNow": "Kiểm tra ngay",
+  "watches.never": "Chưa kiểm tra",
+  "watches.lastOk": "Kiểm tra lúc {time}: {value}",
+  "watches.lastTriggered": "Kiểm tra lúc {time}: {value} – đã vượt ngưỡng",
+  "watches.lastNoData": "Kiểm tra lúc {time}: không có số liệu dự báo",
+  "watches.lastError": "Kiểm tra lúc {time}: không tải được dự báo",
+  "watches.noHistory": "Chưa có ngưỡng nào bị vượt.",
+  "watches.clearHistory": "Xóa lịch sử",
+  "watches.describe": "{metric} {op} {value} {span}",
+  "watches.metric.rain": "Lượng mưa",
+  "watches.metric.tmin": "Nhiệt độ thấp nhất",
+  "watches.metric.tmax": "Nhiệt độ cao nhất",
+  "watches.metric.wind": "Gió",
+  "watches.metric.pop": "Khả năng mưa",
+  "watches.metric.uvi": "Chỉ số UV",
+  "watches.span.today": "hôm nay",
+  "watches.span.tomorrow": "ngày mai",
+  "watches.span.next24h": "trong 24 giờ tới",
+  "watches.notifyTitle": "Theo dõi thời tiết: {place}",
+  "watches.notifyBody": "{rule} (dự báo: {value})",
+  "watches.unsupported": "Trình duyệt này không hiển thị được thông báo.",
+  "watches.enable": "Bật thông báo",
+  "watches.permission.default":
+    "Các ngưỡng được kiểm tra 30 phút một lần khi app đang mở.",
+  "watches.permission.granted":
+    "Đã bật thông báo. Các ngưỡng được kiểm tra 30 phút một lần khi app đang mở.",
+  "watches.permission.denied":
+    "Thông báo bị chặn cho trang này; các lần vượt ngưỡng chỉ được liệt kê bên dưới.",
+
+  "search.goTo": "Đến tọa độ {lat}, {lon}",
+  "search.results": "Địa điểm",
+  "search.noResults": "Không tìm thấy địa điểm",
+
+  "geo.locating": "Đang xác định vị trí...",
+  "geo.accuracy": "Vị trí của bạn (±{distance})",
+  "geo.lowAccuracy":
+    "Vị trí gần đúng (±{distance}) – thời tiết hiển thị cho tâm vòng tròn",
+  "geo.denied":
+    "Quyền truy cập vị trí bị từ chối. Hãy cho phép trong cài đặt trang của trình duyệt, hoặc tìm kiếm / bấm lên bản đồ.",
+  "geo.unavailable": "Không xác định được vị trí của bạn.",
+  "geo.timeout": "Xác định vị trí quá lâu – hãy thử lại.",
+  "geo.unsupported": "Trình duyệt này không chia sẻ được vị trí.",
+  "geo.follow": "Theo dõi vị trí của tôi",
+  "geo.stopFollow": "Dừng theo dõi vị trí",
+
+  "radar.toggle": "Radar",
+  "radar.play": "Phát",
+  "radar.pause": "Tạm dừng",
+  "radar.prev": "Khung trước",
+  "radar.next": "Khung sau",
+  "radar.slider": "Thời điểm của khung radar",
+  "radar.past": "quan trắc",
+  "radar.forecast": "dự báo",
+  "radar.off": "Bật radar để theo dõi mưa trong 2 giờ qua",
+  "radar.loadingList": "Đang tải radar…",
+  "radar.loading": "đang tải trước {done}/{total}",
+  "radar.error": "Không tải được radar",
+
+  "layers.koppen": "Khí hậu Köppen",
+  "layers.precipitation": "Lượng mưa",
+  "layers.clouds": "Mây",
+  "layers.temp": "Nhiệt độ",
+  "layers.wind": "Tốc độ gió",
+  "layers.pressure": "Khí áp mực nước biển",
+  "layers.aqi": "Chất lượng không khí (AQI)",
+  "layers.opacity": "Độ mờ",
+  "layers.opacityOf": "Độ mờ của lớp {name}",
+  "map.legend": "Khí hậu Köppen-Geiger",
+  "map.all": "Tất cả",
+  "map.none": "Bỏ chọn",
+
+  "koppenGroup.A": "Nhiệt đới",
+  "koppenGroup.B": "Khô hạn",
+  "koppenGroup.C": "Ôn đới",
+  "koppenGroup.D": "Lạnh",
+  "koppenGroup.E": "Địa cực",
+
+  "region.title": "Các vùng khí hậu trong vùng đã vẽ",
+  "region.empty": "Vùng đã vẽ không có điểm ảnh đất liền nào được phân loại.",
+  "region.loading": "Lớp Köppen vẫn đang tải; thống kê sẽ hiện khi tải xong.",
+  "region.failed": "Không tải được lớp Köppen.",
+  "region.dominant": "Chiếm ưu thế",
+  "region.area": "Diện tích đất",
+  "region.noData": "không có dữ liệu/biển",
+  "region.sampled": "lấy mẫu mỗi {n} điểm ảnh",
+  "region.export": "Xuất CSV",
+};
+
+// Weather descriptions come from the providers in English
+// (OpenWeather wording, which the Open-Meteo adapter reuses)
+const viDescriptions = {
+  "clear sky": "trời quang",
+  "mainly clear": "trời gần như quang",
+  "few clouds": "ít mây",
+  "scattered clouds": "mây rải rác",
+  "partly cloudy": "có mây",
+  "broken clouds": "nhiều mây",
+  "overcast clouds": "u ám",
+  mist: "sương mù nhẹ",
+  haze: "mù",
+  fog: "sương mù",
+  "depositing rime fog": "sương muối",
+  "light drizzle": "mưa phùn nhẹ",
+  drizzle: "mưa phùn",
+  "dense drizzle": "mưa phùn dày",
+  "light freezing drizzle": "mưa phùn băng nhẹ",
+  "freezing drizzle": "mưa phùn băng",
+  "light rain": "mưa nhẹ",
+  "moderate rain": "mưa vừa",
+  "heavy intensity rain": "mưa to",
+  "very heavy rain": "mưa rất to",
+  "light freezing rain": "mưa băng nhẹ",
+  "freezing rain": "mưa băng",
+  "light snow": "tuyết nhẹ",
+  snow: "tuyết",
+  "heavy snow": "tuyết dày",
+  "snow grains": "hạt tuyết",
+  "light shower rain": "mưa rào nhẹ",
+  "light intensity shower rain": "mưa rào nhẹ",
+  "shower rain": "mưa rào",
+  "heavy shower rain": "mưa rào to",
+  "heavy intensity shower rain": "mưa rào to",
+  "light shower snow": "mưa tuyết nhẹ",
+  "heavy shower snow": "mưa tuyết dày",
+  thunderstorm: "dông",
+  "thunderstorm with light rain": "dông kèm mưa nhẹ",
+  "thunderstorm with rain": "dông kèm mưa",
+  "thunderstorm with heavy rain": "dông kèm mưa to",
+  "thunderstorm with light hail": "dông kèm mưa đá nhỏ",
+  "thunderstorm with heavy hail": "dông kèm mưa đá lớn",
+};
+
+const CATALOGS = { en, vi };
+
+export function getLang() {
+  const lang = getSettings().lang;
+  return CATALOGS[lang] ? lang : "en";
+}
+
+/**
+ * Translate key, filling {placeholders} from params.
+ * Falls back to English, then to the key itself.
+ */
+export function t(key, params = {}) {
+  const msg = CATALOGS[getLang()][key] ?? en[key] ?? key;
+  return msg.replace(/\{(\w+)\}/g, (m, name) =>
+    params[name] !== undefined ? params[name] : m
+  );
+}
+
+/**
+ * Provider weather description in the current language (unchanged if unknown).
+ */
+export function translateDescription(description) {
+  if (!description || getLang() !== "vi") return description;
+  return viDescriptions[description.toLowerCase()] || description;
+}
+
+/**
+ * Fill the data-i18n tagged static text under root.
+ */
+export function applyI18n(root = document) {
+  root.querySelectorAll("[data-i18n]").forEach((el) => {
+    el.textContent = t(el.dataset.i18n);
+  });
+  root.querySelectorAll("[data-i18n-placeholder]").forEach((el) => {
+    el.placeholder = t(el.dataset.i18nPlaceholder);
+  });
+  root.querySelectorAll("[data-i18n-label]").forEach((el) => {
+    el.setAttribute("aria-label", t(el.dataset.i18nLabel));
+  });
+}
@@ -0,0 +1,78 @@
+// koppen.js (ES module)
+// Köppen-Geiger classes of data/koppen_geiger_0p1.tif (Beck et al. 2018):
+// raster value 1-30 → class code, official legend color and description.
+// 0 is the raster's "no data" (oceans).
+import { t } from "./i18n.js";
+
+// [raster value, code, color, description]
+const TABLE = [
+  [1, "Af", "#0000ff", "Tropical, rainforest"],
+  [2, "Am", "#0078ff", "Tropical, monsoon"],
+  [3, "Aw", "#46aafa", "Tropical, savannah"],
+  [4, "BWh", "#ff0000", "Arid, desert, hot"],
+  [5, "BWk", "#ff9696", "Arid, desert, cold"],
+  [6, "BSh", "#f5a500", "Arid, steppe, hot"],
+  [7, "BSk", "#ffdc64", "Arid, steppe, cold"],
+  [8, "Csa", "#ffff00", "Temperate, dry summer, hot summer"],
+  [9, "Csb", "#c8c800", "Temperate, dry summer, warm summer"],
+  [10, "Csc", "#969600", "Temperate, dry summer, cold summer"],
+  [11, "Cwa", "#96ff96", "Temperate, dry winter, hot summer"],
+  [12, "Cwb", "#64c864", "Temperate, dry winter, warm summer"],
+  [13, "Cwc", "#329632", "Temperate, dry winter, cold summer"],
+  [14, "Cfa", "#c8ff50", "Temperate, no dry season, hot summer"],
+  [15, "Cfb", "#64ff50", "Temperate, no dry season, warm summer"],
+  [16, "Cfc", "#32c800", "Temperate, no dry season, cold summer"],
+  [17, "Dsa", "#ff00ff", "Cold, dry summer, hot summer"],
+  [18, "Dsb", "#c800c8", "Cold, dry summer, warm summer"],
+  [19, "Dsc", "#963296", "Cold, dry summer, cold summer"],
+  [20, "Dsd", "#966496", "Cold, dry summer, very cold winter"],
+  [21, "Dwa", "#aaafff", "Cold, dry winter, hot summer"],
+  [22, "Dwb", "#5a78dc", "Cold, dry winter, warm summer"],
+  [23, "Dwc", "#4b50b4", "Cold, dry winter, cold summer"],
+  [24, "Dwd", "#320087", "Cold, dry winter, very cold winter"],
+  [25, "Dfa", "#00ffff", "Cold, no dry season, hot summer"],
+  [26, "Dfb", "#37c8ff", "Cold, no dry season, warm summer"],
+  [27, "Dfc", "#007d7d", "Cold, no dry season, cold summer"],
+  [28, "Dfd", "#00465f", "Cold, no dry season, very cold winter"],
+  [29, "ET", "#b2b2b2", "Polar, tundra"],
+  [30, "EF", "#666666", "Polar, frost"],
+];
+
+export const KOPPEN_CLASSES = TABLE.map(
+  ([value, code, color, description]) => ({
+    value,
+    code,
+    color,
+    description,
+  })
+);
+
+export const KOPPEN_GROUPS = {
+  A: "Tropical",
+  B: "Arid",
+  C: "Temperate",
+  D: "Cold",
+  E: "Polar",
+};
+
+// Indexed by raster value for the per-pixel color function
+const byValue = [];
+for (const c of KOPPEN_CLASSES) byValue[c.value] = c;
+
+/**
+ * Class for a raster value, or null for no data / unknown values.
+ */
+export function koppenByValue(value) {
+  return byValue[value] || null;
+}
+
+export function koppenByCode(code) {
+  return KOPPEN_CLASSES.find((c) => c.code === code) || null;
+}
+
+/**
+ * Display label, e.g. "Cfa – Temperate, no dry season, hot summer"
+ */
+export function koppenLabel(cls) {
+  return cls ? `${cls.code} – ${cls.description}` : t("koppen.noData");
+}
@@ -7,9 +7,46 @@ import {
   getElevation,
   getClimate,
   updateInfo,
+  openPanel,
+  hideAllPanels,
 } from "./script.js";
+import { KOPPEN_CLASSES, KOPPEN_GROUPS, koppenByValue } from "./koppen.js";
+import { computeRegionStats, renderRegionStats } from "./regionstats.js";
+import {
+  addPin,
+  removePin,
+  getPins,
+  isPinned,
+  pinId,
+  MAX_PINS,
+} from "./compare.js";
+import { readState, updateState, onStateRestore } from "./urlstate.js";
+import { applyUnitsParam } from "./settings.js";
+import { getAlerts } from "./options.js";
+import { createWeatherLayers } from "./weatherlayers.js";
+import { createRadar } from "./radar.js";
+import { createAqiLayer, AQI_LEGEND } from "./airquality.js";
+import { createGeolocation } from "./geolocate.js";
+import { createAutocomplete } from "./autocomplete.js";
+import {
+  addRecent,
+  bindFavorites,
+  getFavorites,
+  getRecents,
+  isFavorite,
+  placeLabel,
+  toggleFavorite,
+} from "./favorites.js";
+import { baseTileUrl } from "./appConfig.js";
+import { t } from "./i18n.js";
+import { escapeHtml } from "./format.js";
 
 let georasterObj = null;
+let koppenLayer = null;
+// Köppen classes switched off in the legend (raster values)
+const hiddenKoppen = new Set();
+// view requested by a shared link (#lat=..&lon=..), restored once modules load
+const initialState = readState();
 
 // Ensure globals from CDN scripts are available in module scope
 const L = window.L;
@@ -44,7 +81,7 @@ const map = L.map("viewDiv", {
   inertia: false,
 }).setView([10.8, 106.7], 6);
 
-L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", {
+L.tileLayer(baseTileUrl, {
   attribution: "© OpenStreetMap contributors",
   noWrap: true, // 🚫 không lặp bản đồ
   crossOrigin: true,
@@ -73,23 +110,136 @@ map.on("drag", function () {
   );
 });
 
-// marker layer
+// layers control: weather tile overlays and the AQI grid now, the Köppen
+// raster once loaded
+const weatherLayers = createWeatherLayers(map);
+weatherLayers.addOverlay("aqi", createAqiLayer(), AQI_LEGEND);
+
+// animated radar frames, driven by the bar under the map
+createRadar(map, document.getElementById("radarBar"));
+
+// marker layer (current selection) + pinned locations for the comparison
 const markerLayer = L.layerGroup().addTo(map);
+const pinLayer = L.layerGroup().addTo(map);
+
+// Popup body with a pin/unpin button (DOM node so the button keeps its handler)
+function popupContent(lat, lon, name, country) {
+  const div = document.createElement("div");
+  div.innerHTML = `<b>${escapeHtml(name)}, ${escapeHtml(
+    country
+  )}</b><br>Lat: ${lat.toFixed(4)}, Lon: ${lon.toFixed(4)}<br>`;
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.className = "pin-btn";
+  btn.textContent = isPinned(lat, lon) ? t("map.unpin") : t("map.pin");
+  btn.addEventListener("click", async () => {
+    if (isPinned(lat, lon)) {
+      removePin(pinId(lat, lon));
+      return;
+    }
+    btn.disabled = true;
+    const elevation = await getElevation(lat, lon);
+    const climate = getClimate(lat, lon, georasterObj);
+    const ok = addPin({
+      lat,
+      lon,
+      name,
+      country,
+      climateType: climate.climateType,
+      elevation,
+    });
+    if (!ok) {
+      btn.disabled = false;
+      btn.textContent = t("map.pinsFull", { max: MAX_PINS });
+      return;
+    }
+    markerLayer.clearLayers(); // the pin marker replaces it
+  });
+  div.appendChild(btn);
+
+  const star = document.createElement("button");
+  star.type = "button";
+  star.className = "pin-btn";
+  const starLabel = () =>
+    (star.textContent = isFavorite(lat, lon)
+      ? t("favorites.inFavorites")
+      : t("favorites.add"));
+  starLabel();
+  star.addEventListener("click", () => {
+    toggleFavorite({ lat, lon, name, country });
+    starLabel();
+  });
+  div.appendChild(star);
+  return div;
+}
+
+// Locations with an active weather alert get a red ⚠ marker
+const alertIcon = L.divIcon({
+  className: "alert-marker",
+  html: "<span>⚠️</span>",
+  iconSize: [30, 30],
+  iconAnchor: [15, 15],
+  popupAnchor: [0, -14],
+});
+
+async function flagAlerted(marker, icon) {
+  const { lat, lng } = marker.getLatLng();
+  const alerts = await getAlerts(lat, lng);
+  // the marker may have been replaced while the alerts were loading
+  if (!alerts.length || !map.hasLayer(marker)) return;
+  marker.setIcon(icon);
+  marker.bindTooltip(
+    `${t("map.alerted")}: ${alerts.map((a) => a.event).join(", ")}`
+  );
+}
 
 // addMarker: clear previous and add new marker with popup
 function addMarker(lon, lat, name = "", country = "") {
   markerLayer.clearLayers();
   const marker = L.marker([lat, lon]);
-  marker
-    .bindPopup(
-      `<b>${name}, ${country}</b><br>Lat: ${lat.toFixed(4)}, Lon: ${lon.toFixed(
-        4
-      )}`
-    )
-    .openPopup();
+  marker.bindPopup(() => popupContent(lat, lon, name, country)).openPopup();
   marker.addTo(markerLayer);
+  flagAlerted(marker, alertIcon);
 }
 
+function pinIcon(p, i, alerted = false) {
+  return L.divIcon({
+    className: alerted ? "pin-marker pin-marker--alert" : "pin-marker",
+    html: `<span style="background:${p.color}">${i + 1}</span>`,
+    iconSize: [26, 26],
+    iconAnchor: [13, 13],
+    popupAnchor: [0, -12],
+  });
+}
+
+// Pinned markers stay on the map; numbered and colored like their table column
+function drawPins() {
+  pinLayer.clearLayers();
+  getPins().forEach((p, i) => {
+    const marker = L.marker([p.lat, p.lon], {
+      icon: pinIcon(p, i),
+      title: p.name,
+    })
+      .bindPopup(() => popupContent(p.lat, p.lon, p.name, p.country))
+      .addTo(pinLayer);
+    flagAlerted(marker, pinIcon(p, i, true));
+  });
+}
+drawPins();
+window.addEventListener("pinschange", () => {
+  map.closePopup();
+  drawPins();
+});
+// another provider may have other (or no) alerts
+window.addEventListener("providerchange", () => {
+  drawPins();
+  markerLayer.eachLayer((marker) => {
+    marker.setIcon(new L.Icon.Default());
+    marker.unbindTooltip();
+    flagAlerted(marker, alertIcon);
+  });
+});
+
 window.addEventListener("resize", () => {
   map.invalidateSize();
 });
@@ -128,140 +278,322 @@ async function loadGeoTiff(url) {
       pixelValuesToColorFn: function (values) {
         if (!values) return null;
         const v = values[0];
-        if (v === null || v === undefined) return null;
-        // simple consistent color mapping for integer codes
-        const r = (v * 53) % 255;
-        const g = (v * 97) % 255;
-        const b = (v * 193) % 255;
-        return `rgba(${r},${g},${b},0.6)`;
+        const cls = koppenByValue(v);
+        // no data (0) and classes toggled off in the legend stay transparent
+        if (!cls || hiddenKoppen.has(v)) return null;
+        return cls.color;
       },
     });
-    layer.addTo(map);
+    koppenLayer = layer;
+    // shown (with its class legend, see "overlayadd") unless switched off
+    weatherLayers.addOverlay("koppen", layer);
 
-    // Fit map to georaster bounds
+    // Fit map to georaster bounds (unless a link asked for a location)
     const bounds = [
       [georaster.ymin, georaster.xmin],
       [georaster.ymax, georaster.xmax],
     ];
-    map.fitBounds(bounds, { maxZoom: 8 });
+    if (initialState.lat === null) map.fitBounds(bounds, { maxZoom: 8 });
 
-    // Optionally create legend (simple)
-    createLegend();
     console.log("GeoTIFF loaded", georaster);
   } catch (err) {
     console.error("Error loading GeoTIFF:", err);
   }
 }
 
+// Interactive Köppen legend: one checkbox per class, grouped by main climate
+let legend = null;
 function createLegend() {
-  const legend = L.control({ position: "bottomright" });
+  if (legend) legend.remove(); // rebuilt when the language changes
+  legend = L.control({ position: "bottomright" });
   legend.onAdd = function () {
-    const div = L.DomUtil.create("div", "legend");
-    div.innerHTML = `<b>Raster legend</b><br/><small>Colored by integer code</small>`;
+    const div = L.DomUtil.create("div", "legend koppen-legend");
+    const groups = Object.keys(KOPPEN_GROUPS)
+      .map((letter) => {
+        const rows = KOPPEN_CLASSES.filter((c) => c.code[0] === letter)
+          .map(
+            (c) => `
+            <label class="koppen-row" title="${c.description}">
+              <input type="checkbox" data-value="${c.value}" ${
+              hiddenKoppen.has(c.value) ? "" : "checked"
+            } />
+              <i style="background:${c.color}"></i>${c.code}
+              <small>${c.description}</small>
+            </label>`
+          )
+          .join("");
+        return `
+          <div class="koppen-group">
+            <label class="koppen-group-title">
+              <input type="checkbox" data-group="${letter}" checked />
+              <b>${letter} – ${t(`koppenGroup.${letter}`)}</b>
+            </label>
+            ${rows}
+          </div>`;
+      })
+      .join("");
+    div.innerHTML = `
+      <details open>
+        <summary><b>${t("map.legend")}</b></summary>
+        <div class="koppen-actions">
+          <button type="button" data-all="1">${t("map.all")}</button>
+          <button type="button" data-all="0">${t("map.none")}</button>
+        </div>
+        <div class="koppen-list">${groups}</div>
+      </details>`;
+
+    const sync = () => {
+      div.querySelectorAll("input[data-value]").forEach((cb) => {
+        const v = Number(cb.dataset.value);
+        if (cb.checked) hiddenKoppen.delete(v);
+        else hiddenKoppen.add(v);
+      });
+      div.querySelectorAll("input[data-group]").forEach((cb) => {
+        const own = [
+          ...cb.closest(".koppen-group").querySelectorAll("input[data-value]"),
+        ];
+        cb.checked = own.every((b) => b.checked);
+        cb.indeterminate = !cb.checked && own.some((b) => b.checked);
+      });
+      if (koppenLayer) koppenLayer.redraw();
+    };
+
+    div.addEventListener("change", (e) => {
+      if (e.target.dataset.group) {
+        e.target
+          .closest(".koppen-group")
+          .querySelectorAll("input[data-value]")
+          .forEach((cb) => (cb.checked = e.target.checked));
+      }
+      sync();
+    });
+    div.querySelectorAll("button[data-all]").forEach((btn) =>
+      btn.addEventListener("click", () => {
+        div
+          .querySelectorAll("input[data-value]")
+          .forEach((cb) => (cb.checked = btn.dataset.all === "1"));
+        sync();
+      })
+    );
+
+    L.DomEvent.disableClickPropagation(div);
+    L.DomEvent.disableScrollPropagation(div);
+    if (hiddenKoppen.size) sync(); // group checkboxes after a rebuild
     return div;
   };
   legend.addTo(map);
 }
+window.addEventListener("settingschange", () => {
+  if (legend) createLegend();
+});
+// the class legend goes with the raster when it is switched off in the control
+map.on("overlayadd", (e) => {
+  if (e.layer === koppenLayer) createLegend();
+});
+map.on("overlayremove", (e) => {
+  if (e.layer !== koppenLayer || !legend) return;
+  legend.remove();
+  legend = null;
+});
 
-// start loading
-loadGeoTiff(geotiffUrl);
+// start loading (resolves when done or failed)
+const georasterReady = loadGeoTiff(geotiffUrl);
 
-// Map click handler
-map.on("click", async (e) => {
-  const lat = e.latlng.lat;
-  const lon = e.latlng.lng;
+// ----- Region drawing (Leaflet.draw) → Köppen statistics -----
+const drawnRegion = new L.FeatureGroup().addTo(map);
+let drawing = false; // ignore map clicks while drawing/editing a region
 
-  const elevation = await getElevation(lat, lon);
-  const climate = getClimate(lat, lon, georasterObj);
-  const nameData = await getNameByCoordinates(lat, lon);
+function showRegionStats(layer) {
+  if (!georasterObj) {
+    renderRegionStats(null, t("region.loading"));
+    return;
+  }
+  const ring = layer.getLatLngs()[0];
+  renderRegionStats(computeRegionStats(georasterObj, ring));
+  const section = document.getElementById("regionStats");
+  if (section) section.scrollIntoView({ behavior: "smooth", block: "start" });
+}
+
+// a region drawn while the raster was loading: compute its stats now
+georasterReady.then(() =>
+  drawnRegion.eachLayer((layer) =>
+    georasterObj
+      ? showRegionStats(layer)
+      : renderRegionStats(null, t("region.failed"))
+  )
+);
 
-  addMarker(lon, lat, nameData.place_name, nameData.country || "");
-  updateInfo(
-    lat,
-    lon,
-    climate.climateType,
-    elevation,
-    nameData.place_name,
-    nameData.country || ""
+if (L.Control.Draw) {
+  const shapeOptions = { color: "#0f62fe", weight: 2, fillOpacity: 0.08 };
+  map.addControl(
+    new L.Control.Draw({
+      position: "topleft",
+      draw: {
+        rectangle: { shapeOptions },
+        polygon: { allowIntersection: false, shapeOptions },
+        polyline: false,
+        circle: false,
+        circlemarker: false,
+        marker: false,
+      },
+      edit: { featureGroup: drawnRegion },
+    })
+  );
+  map.on("draw:drawstart draw:editstart draw:deletestart", () => {
+    drawing = true;
+  });
+  map.on("draw:drawstop draw:editstop draw:deletestop", () => {
+    // the click that finishes a shape arrives after drawstop
+    setTimeout(() => (drawing = false), 0);
+  });
+  map.on(L.Draw.Event.CREATED, (e) => {
+    drawnRegion.clearLayers(); // one region at a time
+    drawnRegion.addLayer(e.layer);
+    showRegionStats(e.layer);
+  });
+  map.on(L.Draw.Event.EDITED, (e) => e.layers.eachLayer(showRegionStats));
+  map.on(L.Draw.Event.DELETED, () => {
+    const section = document.getElementById("regionStats");
+    if (section && !drawnRegion.getLayers().length) section.hidden = true;
+  });
+} else {
+  console.warn(
+    "Leaflet.draw (L.Control.Draw) is not available. Region statistics will be skipped."
+  );
+}
+// re-render the statistics text in the new language
+window.addEventListener("settingschange", () => {
+  const section = document.getElementById("regionStats");
+  if (!section || section.hidden || !georasterObj) return;
+  drawnRegion.eachLayer((layer) =>
+    renderRegionStats(computeRegionStats(georasterObj, layer.getLatLngs()[0]))
   );
 });
 
-// ----- Autocomplete UI -----
-const input = document.getElementById("locationInput");
-const suggestionBox = document.createElement("div");
-suggestionBox.className = "suggestions";
-input.parentNode.appendChild(suggestionBox);
-
-let lastResults = [];
+// Show a point that has no name yet (map click, geolocation).
+// remember: false for follow-mode updates, which are not searches
+async function locateAt(lat, lon, { push = true, remember = true } = {}) {
+  const nameData = await getNameByCoordinates(lat, lon);
+  updateState(
+    {
+      lat,
+      lon,
+      name: nameData.place_name,
+      country: nameData.country || "",
+      zoom: map.getZoom(),
+    },
+    { push }
+  );
+  await showLocation(lat, lon, nameData.place_name, nameData.country || "", {
+    remember,
+  });
+}
 
-input.addEventListener("input", async () => {
-  const q = input.value.trim();
-  if (!q) {
-    suggestionBox.innerHTML = "";
-    return;
-  }
-  try {
-    const results = await geocodeSuggest(q, 6);
-    lastResults = results;
-    suggestionBox.innerHTML = "";
-
-    results.forEach((place) => {
-      const display = `${place.name}${place.state ? ", " + place.state : ""}, ${
-        place.country
-      }`;
-      const div = document.createElement("div");
-      div.textContent = display;
-      div.addEventListener("click", async () => {
-        await pickLocation(place);
-      });
-      suggestionBox.appendChild(div);
-    });
-  } catch (err) {
-    console.error("Autocomplete error:", err);
-  }
+// "Use my location" (header map button) + follow mode; following replaces
+// the history entry instead of pushing one per position update, and keeps
+// the positions out of the recent places (and the favorites sidebar quiet)
+const geolocation = createGeolocation(map, {
+  locateBtn: document.getElementById("openMapBtn"),
+  followBtn: document.getElementById("followBtn"),
+  onLocate: (lat, lon, { follow }) =>
+    locateAt(lat, lon, { push: !follow, remember: !follow }),
 });
 
-// Enter picks first result
-input.addEventListener("keydown", (e) => {
-  if (e.key === "Enter") {
-    e.preventDefault();
-    if (lastResults.length > 0) {
-      pickLocation(lastResults[0]);
-      suggestionBox.innerHTML = "";
-    }
-  }
+// Map click handler (a hand-picked point ends the follow mode)
+map.on("click", async (e) => {
+  if (drawing) return;
+  geolocation.stopFollow();
+  await locateAt(e.latlng.lat, e.latlng.lng);
 });
 
-// When clicking outside, hide suggestions
-document.addEventListener("click", (e) => {
-  if (!input.parentNode.contains(e.target)) {
-    suggestionBox.innerHTML = "";
-  }
+// Marker + info panel for a location; the climate lookup waits for the raster.
+// remember: add it to the recent places
+async function showLocation(lat, lon, name, country, { remember = true } = {}) {
+  addMarker(lon, lat, name, country);
+  if (remember) addRecent({ lat, lon, name, country });
+  const elevation = await getElevation(lat, lon);
+  await georasterReady;
+  const climate = getClimate(lat, lon, georasterObj);
+  updateInfo(lat, lon, climate.climateType, elevation, name, country);
+}
+
+// ----- Autocomplete UI -----
+const input = document.getElementById("locationInput");
+
+// saved places in the dropdown: favorites + recents while the box is empty,
+// the favorites matching the query above the geocoding results
+function savedSuggestions(q) {
+  const needle = q.toLowerCase();
+  const matches = (p) =>
+    !needle || placeLabel(p).toLowerCase().includes(needle);
+  return [
+    {
+      title: t("favorites.searchFavorites"),
+      icon: "★",
+      places: getFavorites().filter(matches),
+    },
+    {
+      title: t("favorites.recent"),
+      icon: "🕘",
+      places: needle ? [] : getRecents(),
+    },
+  ];
+}
+
+createAutocomplete(input, {
+  search: (q, { signal }) => geocodeSuggest(q, 6, { signal }),
+  saved: savedSuggestions,
+  onPick: pickLocation,
+  // typed coordinates ("10.8, 106.7"): same flow as a map click
+  onPoint: (lat, lon) => {
+    geolocation.stopFollow();
+    map.setView([lat, lon], 10);
+    locateAt(lat, lon);
+  },
 });
 
 async function pickLocation(place) {
   if (!place) return;
-  input.value = `${place.name}, ${place.country}`;
-  suggestionBox.innerHTML = "";
+  geolocation.stopFollow();
+  input.value = placeLabel(place);
 
   const lat = place.lat;
   const lon = place.lon;
 
   map.setView([lat, lon], 8);
-  addMarker(lon, lat, place.name, place.country);
-
-  const elevation = await getElevation(lat, lon);
-  const climate = getClimate(lat, lon, georasterObj);
-  updateInfo(
-    lat,
-    lon,
-    climate.climateType,
-    elevation,
-    place.name,
-    place.country
+  updateState(
+    { lat, lon, name: place.name, country: place.country, zoom: 8 },
+    { push: true }
   );
+  await showLocation(lat, lon, place.name, place.country);
 }
 
+// ----- URL state (shared links, back/forward) -----
+async function restoreState(state) {
+  if (state.units) applyUnitsParam(state.units);
+  if (state.lat !== null) {
+    map.setView([state.lat, state.lon], state.zoom ?? 8);
+    let { name, country } = state;
+    if (!name) {
+      const nameData = await getNameByCoordinates(state.lat, state.lon);
+      name = nameData.place_name;
+      country = nameData.country || "";
+    }
+    input.value = country ? `${name}, ${country}` : name;
+    await showLocation(state.lat, state.lon, name, country);
+  } else {
+    markerLayer.clearLayers();
+  }
+  if (state.panel) openPanel(state.panel);
+  else hideAllPanels();
+}
+
+bindFavorites(pickLocation);
+
+map.on("zoomend", () => updateState({ zoom: map.getZoom() }));
+onStateRestore(restoreState);
+if (initialState.lat !== null || initialState.panel) restoreState(initialState);
+
 // expose some utils for debugging if needed
 window._georaster = () => georasterObj;
 window._map = map;
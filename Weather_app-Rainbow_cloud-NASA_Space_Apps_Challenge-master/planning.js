@@ -0,0 +1,362 @@
+// planning.js (ES module)
+// "For planning" panel: score forecast days/hours against activity thresholds
+import {
+  getForecast10Days,
+  getHourly24,
+  getTimezoneOffset,
+} from "./options.js";
+import { t } from "./i18n.js";
+import {
+  convert,
+  toBase,
+  unitLabel,
+  formatTemp,
+  formatWind,
+  formatPrecip,
+  formatDay,
+  formatTime,
+  formatDate,
+} from "./format.js";
+
+/**
+ * Preset thresholds per activity (labels: "planning.<key>" messages).
+ * temp in °C, wind in km/h, rain in mm, pop in %, uv as UV index.
+ */
+export const ACTIVITIES = {
+  hiking: {
+    tempMin: 10,
+    tempMax: 28,
+    windMax: 30,
+    rainMax: 2,
+    popMax: 40,
+    uvMax: 8,
+  },
+  beach: {
+    tempMin: 24,
+    tempMax: 35,
+    windMax: 25,
+    rainMax: 1,
+    popMax: 30,
+    uvMax: 10,
+  },
+  survey: {
+    tempMin: 5,
+    tempMax: 34,
+    windMax: 40,
+    rainMax: 5,
+    popMax: 60,
+    uvMax: 9,
+  },
+  cycling: {
+    tempMin: 8,
+    tempMax: 30,
+    windMax: 25,
+    rainMax: 1,
+    popMax: 30,
+    uvMax: 8,
+  },
+};
+
+// Form fields; thresholds are kept in base units and shown in the selected
+// ones (wind thresholds are km/h, the wind formatters take m/s)
+const FIELDS = [
+  { key: "tempMin", kind: "temp" },
+  { key: "tempMax", kind: "temp" },
+  { key: "windMax", kind: "wind", scale: 3.6 },
+  { key: "rainMax", kind: "precip" },
+  { key: "popMax" },
+  { key: "uvMax" },
+];
+
+function toDisplay(f, value) {
+  if (!f.kind) return value;
+  const v = convert(f.kind, value / (f.scale || 1));
+  return Math.round(v * 10) / 10;
+}
+
+function fromDisplay(f, value) {
+  return f.kind ? toBase(f.kind, value) * (f.scale || 1) : value;
+}
+
+function fieldLabel(f) {
+  return t(`planning.${f.key}`, { unit: f.kind ? unitLabel(f.kind) : "" });
+}
+
+/**
+ * Score one forecast entry against thresholds.
+ * values: { tMin, tMax, wind, rain, pop, uvi } (missing values are skipped)
+ * Returns { ok, score (0-100), reasons: [string] }
+ */
+export function scoreConditions(values, th) {
+  const reasons = [];
+  let penalty = 0;
+
+  const { tMin, tMax, wind, rain, pop, uvi } = values;
+  if (tMin !== undefined && tMin < th.tempMin) {
+    reasons.push(
+      t("planning.tooCold", {
+        value: formatTemp(tMin),
+        limit: formatTemp(th.tempMin),
+      })
+    );
+    penalty += 20 + (th.tempMin - tMin) * 4;
+  }
+  if (tMax !== undefined && tMax > th.tempMax) {
+    reasons.push(
+      t("planning.tooHot", {
+        value: formatTemp(tMax),
+        limit: formatTemp(th.tempMax),
+      })
+    );
+    penalty += 20 + (tMax - th.tempMax) * 4;
+  }
+  // soft terms: the closer to a limit, the lower the score of a passing entry
+  const limits = [
+    [wind, th.windMax, "planning.tooWindy", (v) => formatWind(v / 3.6)],
+    [rain, th.rainMax, "planning.tooWet", (v) => formatPrecip(v)],
+    [pop, th.popMax, "planning.rainLikely", (v) => `${Math.round(v)}%`],
+    [uvi, th.uvMax, "planning.uvHigh", (v) => `${Math.round(v * 10) / 10}`],
+  ];
+  for (const [value, limit, key, format] of limits) {
+    if (value === undefined || value === null) continue;
+    if (value > limit) {
+      reasons.push(t(key, { value: format(value), limit: format(limit) }));
+      penalty += 20 + ((value - limit) / Math.max(limit, 1)) * 30;
+    } else if (limit > 0) {
+      penalty += (value / limit) * 8;
+    }
+  }
+
+  const score = Math.max(0, Math.round(100 - penalty));
+  return { ok: reasons.length === 0, score, reasons };
+}
+
+function dailyValues(d) {
+  return {
+    tMin: d.temp?.min,
+    tMax: d.temp?.max,
+    wind: d.wind_speed !== undefined ? d.wind_speed * 3.6 : undefined,
+    rain: d.rain ?? 0,
+    pop: d.pop !== undefined ? d.pop * 100 : undefined,
+    uvi: d.uvi,
+  };
+}
+
+function hourlyValues(h) {
+  return {
+    tMin: h.temp,
+    tMax: h.temp,
+    wind: h.wind_speed !== undefined ? h.wind_speed * 3.6 : undefined,
+    rain: h.rain ?? 0,
+    pop: h.pop !== undefined ? h.pop * 100 : undefined,
+    uvi: h.uvi,
+  };
+}
+
+/**
+ * Group consecutive passing hours into windows, best first
+ * (longest window, then highest average score).
+ */
+export function findWindows(scoredHours) {
+  const windows = [];
+  let cur = null;
+  for (const h of scoredHours) {
+    if (h.result.ok) {
+      if (!cur) {
+        cur = { start: h.dt, end: h.dt, scores: [] };
+        windows.push(cur);
+      }
+      cur.end = h.dt;
+      cur.scores.push(h.result.score);
+    } else {
+      cur = null;
+    }
+  }
+  return windows
+    .map((w) => ({
+      start: w.start,
+      end: w.end,
+      hours: w.scores.length,
+      score: Math.round(w.scores.reduce((a, b) => a + b, 0) / w.scores.length),
+    }))
+    .sort((a, b) => b.hours - a.hours || b.score - a.score);
+}
+
+// Form state survives re-renders (e.g. after a units or language change)
+let activity = "hiking";
+let preset = "hiking"; // last chosen preset, still the base of a custom edit
+let thresholds = { ...ACTIVITIES.hiking };
+
+// empty or invalid fields keep the value of the selected preset
+function readThresholds(form) {
+  const th = {};
+  for (const f of FIELDS) {
+    const v = parseFloat(form.elements[f.key].value);
+    th[f.key] = Number.isFinite(v)
+      ? fromDisplay(f, v)
+      : ACTIVITIES[preset][f.key];
+  }
+  return th;
+}
+
+function fillThresholds(form, values) {
+  for (const f of FIELDS)
+    form.elements[f.key].value = toDisplay(f, values[f.key]);
+}
+
+function buildForm(container) {
+  const options = Object.keys(ACTIVITIES)
+    .map((key) => `<option value="${key}">${t(`planning.${key}`)}</option>`)
+    .join("");
+  const inputs = FIELDS.map(
+    (f) => `
+      <label>
+        <span>${fieldLabel(f)}</span>
+        <input type="number" name="${f.key}" step="any" />
+      </label>`
+  ).join("");
+  container.innerHTML = `
+    <form class="planning-form">
+      <label>
+        <span>${t("planning.activity")}</span>
+        <select name="activity">${options}<option value="custom">${t(
+    "planning.custom"
+  )}</option></select>
+      </label>
+      ${inputs}
+      <button type="submit" class="btn btn--planning">${t(
+        "planning.submit"
+      )}</button>
+    </form>`;
+  const form = container.querySelector("form");
+  form.elements.activity.value = activity;
+  fillThresholds(form, thresholds);
+  form.elements.activity.addEventListener("change", () => {
+    activity = form.elements.activity.value;
+    if (ACTIVITIES[activity]) {
+      preset = activity;
+      thresholds = { ...ACTIVITIES[preset] };
+      fillThresholds(form, thresholds);
+    }
+  });
+  // editing a threshold by hand turns the preset into a custom activity
+  for (const f of FIELDS) {
+    form.elements[f.key].addEventListener("input", () => {
+      activity = form.elements.activity.value = "custom";
+    });
+  }
+  return form;
+}
+
+// tz: the location's UTC offset, so days and hours read on its clock
+function renderResults(results, days, hours, th, tz) {
+  const scoredDays = days
+    .map((d) => ({ dt: d.dt, result: scoreConditions(dailyValues(d), th) }))
+    .sort((a, b) => b.result.score - a.result.score);
+  const scoredHours = hours.map((h) => ({
+    dt: h.dt,
+    result: scoreConditions(hourlyValues(h), th),
+  }));
+  const windows = findWindows(scoredHours);
+
+  const dayRows = scoredDays
+    .map(
+      (d) => `
+      <li class="${d.result.ok ? "plan-ok" : "plan-fail"}">
+        <span class="plan-when">${formatDay(d.dt, tz)}</span>
+        <span class="plan-score">${d.result.score}</span>
+        <span class="plan-why">${
+          d.result.ok ? t("planning.good") : d.result.reasons.join(" · ")
+        }</span>
+      </li>`
+    )
+    .join("");
+
+  const windowRows = windows.length
+    ? windows
+        .slice(0, 3)
+        .map(
+          (w) => `
+        <li class="plan-ok">
+          <span class="plan-when">${formatDay(w.start, tz)} ${formatTime(
+            w.start,
+            tz
+          )}–${formatTime(w.end, tz)}</span>
+          <span class="plan-score">${w.score}</span>
+          <span class="plan-why">${t("planning.window", {
+            hours: w.hours,
+          })}</span>
+        </li>`
+        )
+        .join("")
+    : `<li class="plan-fail">${t("planning.noWindow")}</li>`;
+
+  const failedHours = scoredHours
+    .filter((h) => !h.result.ok)
+    .map(
+      (h) => `
+      <li class="plan-fail">
+        <span class="plan-when">${formatDate(
+          h.dt,
+          { weekday: "short", hour: "2-digit", minute: "2-digit" },
+          tz
+        )}</span>
+        <span class="plan-score">${h.result.score}</span>
+        <span class="plan-why">${h.result.reasons.join(" · ")}</span>
+      </li>`
+    )
+    .join("");
+
+  results.innerHTML = `
+    <h4>${t("planning.bestDays")}</h4>
+    <ul class="plan-list">${dayRows || `<li>${t("planning.noDaily")}</li>`}</ul>
+    <h4>${t("planning.bestWindows")}</h4>
+    <ul class="plan-list">${windowRows}</ul>
+    ${
+      failedHours
+        ? `<details><summary>${t(
+            "planning.whyFailed"
+          )}</summary><ul class="plan-list">${failedHours}</ul></details>`
+        : ""
+    }`;
+}
+
+/**
+ * Render the planning panel for a location and wire up the form.
+ */
+export async function renderPlanning(lat, lon) {
+  const section = document.getElementById("planningWeather");
+  const formBox = document.getElementById("planningForm");
+  const results = document.getElementById("planningResults");
+  if (!section || !formBox || !results) return;
+  section.hidden = false;
+
+  // rebuilt on every render so labels and units follow the settings
+  const form = buildForm(formBox);
+  results.innerHTML = t("common.loading");
+
+  let days = [];
+  let hours = [];
+  let tz = null;
+  try {
+    [days, hours, tz] = await Promise.all([
+      getForecast10Days(lat, lon, 10),
+      getHourly24(lat, lon),
+      getTimezoneOffset(lat, lon),
+    ]);
+  } catch (e) {
+    console.error("renderPlanning error", e);
+    results.innerHTML = t("planning.error");
+    return;
+  }
+
+  const update = () => {
+    thresholds = readThresholds(form);
+    renderResults(results, days, hours, thresholds, tz);
+  };
+  form.onsubmit = (e) => {
+    e.preventDefault();
+    update();
+  };
+  update();
+}
@@ -0,0 +1,91 @@
+// providers/fixture.js (ES module)
+// Offline provider replaying data/fixtures/weather.json (already in the
+// normalized schema). Timestamps are shifted so the recording starts "now";
+// the same weather is returned for every point.
+
+const FIXTURE_URL = new URL("../data/fixtures/weather.json", import.meta.url);
+
+let fixturePromise = null;
+
+function loadFixture() {
+  if (!fixturePromise) {
+    fixturePromise = fetch(FIXTURE_URL)
+      .then((r) => {
+        if (!r.ok) throw new Error(`Fixture not found (${r.status})`);
+        return r.json();
+      })
+      .catch((err) => {
+        fixturePromise = null; // allow retry
+        throw err;
+      });
+  }
+  return fixturePromise;
+}
+
+// Hours are shifted by whole hours, days by whole days
+function shifts(fixture) {
+  const nowHour = Math.floor(Date.now() / 3600000) * 3600;
+  const hour = nowHour - Math.floor(fixture.recorded_at / 3600) * 3600;
+  return { hour, day: Math.floor(hour / 86400) * 86400 };
+}
+
+export const fixtureProvider = {
+  label: "Offline fixture",
+
+  async getCurrent() {
+    const f = await loadFixture();
+    return { ...f.current, dt: f.current.dt + shifts(f).hour };
+  },
+
+  async getHourly(lat, lon, hours = 24) {
+    const f = await loadFixture();
+    const { hour } = shifts(f);
+    return f.hourly.slice(0, hours).map((h) => ({ ...h, dt: h.dt + hour }));
+  },
+
+  async getDaily(lat, lon, days = 10) {
+    const f = await loadFixture();
+    const { day } = shifts(f);
+    return f.daily.slice(0, days).map((d) => ({ ...d, dt: d.dt + day }));
+  },
+
+  // the recording's clock (Asia/Ho_Chi_Minh), whatever the point
+  async getTimezoneOffset() {
+    const f = await loadFixture();
+    return f.timezone_offset;
+  },
+
+  async getAlerts() {
+    const f = await loadFixture();
+    const { hour } = shifts(f);
+    return (f.alerts || []).map((a) => ({
+      ...a,
+      start: a.start + hour,
+      end: a.end + hour,
+    }));
+  },
+
+  async geocode(query, limit = 5) {
+    const f = await loadFixture();
+    const q = query.trim().toLowerCase();
+    return f.places
+      .filter((p) => p.name.toLowerCase().includes(q))
+      .slice(0, limit)
+      .map((p) => ({ ...p, local_names: {} }));
+  },
+
+  async reverseGeocode(lat, lon) {
+    const f = await loadFixture();
+    let best = null;
+    let bestD = Infinity;
+    for (const p of f.places) {
+      const d = (p.lat - lat) ** 2 + (p.lon - lon) ** 2;
+      if (d < bestD) {
+        best = p;
+        bestD = d;
+      }
+    }
+    // only answer for points near a known place (~1°)
+    return best && bestD < 1 ? { ...best, local_names: {} } : null;
+  },
+};
@@ -0,0 +1,118 @@
+// providers/index.js (ES module)
+// Weather provider registry. Every provider returns the same normalized schema
+// (metric units: °C, m/s, mm; unix seconds) so the UI never sees raw API JSON.
+import { defaultProvider } from "../appConfig.js";
+import { openWeatherProvider } from "./openweather.js";
+import { openMeteoProvider } from "./openmeteo.js";
+import { fixtureProvider } from "./fixture.js";
+
+/**
+ * @typedef {Object} CurrentWeather
+ * @property {number} dt
+ * @property {number} temp
+ * @property {number} feels_like
+ * @property {number} temp_min
+ * @property {number} temp_max
+ * @property {number} humidity      %
+ * @property {number} wind_speed    m/s
+ * @property {number} [wind_deg]
+ * @property {number} precip        mm in the last hour (rain or snow)
+ * @property {?number} uvi
+ * @property {string} icon          OpenWeather icon code, e.g. "10d"
+ * @property {string} description
+ * @property {number} [timezone_offset] seconds from UTC
+ *
+ * @typedef {Object} HourlyWeather
+ * @property {number} dt
+ * @property {number} temp
+ * @property {number} [feels_like]
+ * @property {number} [humidity]
+ * @property {number} [wind_speed]
+ * @property {number} [wind_deg]
+ * @property {number} [wind_gust]   m/s
+ * @property {number} rain          mm in that hour
+ * @property {number} [pop]         probability of precipitation 0-1
+ * @property {number} [uvi]
+ * @property {string} icon
+ * @property {string} description
+ * @property {boolean} [interpolated] estimated between the points of a
+ *                                    coarser forecast (OpenWeather 3h tier)
+ *
+ * @typedef {Object} DailyWeather
+ * @property {number} dt            local noon of the day
+ * @property {{min: number, max: number}} temp
+ * @property {number} [humidity]
+ * @property {number} [wind_speed]
+ * @property {number} rain          mm for the day
+ * @property {number} [pop]
+ * @property {number} [uvi]
+ * @property {string} icon
+ * @property {string} description
+ *
+ * @typedef {Object} WeatherAlert
+ * @property {string} sender        issuing agency
+ * @property {string} event         e.g. "Heavy rain warning"
+ * @property {number} start         unix seconds
+ * @property {number} end
+ * @property {string} description
+ * @property {string[]} [tags]
+ *
+ * @typedef {Object} Place
+ * @property {string} name
+ * @property {number} lat
+ * @property {number} lon
+ * @property {string} country
+ * @property {string} [state]
+ * @property {Object} [local_names]
+ *
+ * A provider implements:
+ *   getCurrent(lat, lon) → CurrentWeather
+ *   getHourly(lat, lon, hours) → HourlyWeather[]
+ *   getDaily(lat, lon, days) → DailyWeather[]
+ *   geocode(query, limit, { signal }) → Place[] (signal: AbortSignal)
+ *   reverseGeocode(lat, lon) → Place | null
+ *   getTimezoneOffset(lat, lon) → seconds from UTC of the location's clock
+ *   getAlerts(lat, lon) → WeatherAlert[] (empty when the source has none)
+ */
+
+const providers = {
+  openweather: openWeatherProvider,
+  openmeteo: openMeteoProvider,
+  fixture: fixtureProvider,
+};
+
+const STORAGE_KEY = "weatherProvider";
+
+// ?provider=... wins over the saved choice, which wins over config.js
+function initialProviderId() {
+  const fromUrl = new URLSearchParams(location.search).get("provider");
+  if (fromUrl && providers[fromUrl]) return fromUrl;
+  const saved = localStorage.getItem(STORAGE_KEY);
+  if (saved && providers[saved]) return saved;
+  return providers[defaultProvider] ? defaultProvider : "openmeteo";
+}
+
+let activeId = initialProviderId();
+
+export function getProvider() {
+  return providers[activeId];
+}
+
+export function getProviderId() {
+  return activeId;
+}
+
+/**
+ * Switch provider at runtime; the choice is remembered in localStorage.
+ * Fires a "providerchange" event on window.
+ */
+export function setProvider(id) {
+  if (!providers[id]) throw new Error(`Unknown weather provider: ${id}`);
+  activeId = id;
+  localStorage.setItem(STORAGE_KEY, id);
+  window.dispatchEvent(new CustomEvent("providerchange", { detail: { id } }));
+}
+
+export function listProviders() {
+  return Object.entries(providers).map(([id, p]) => ({ id, label: p.label }));
+}
@@ -0,0 +1,211 @@
+// providers/openmeteo.js (ES module)
+// Open-Meteo adapter (free, no API key). WMO weather codes are mapped to
+// OpenWeather icon codes/descriptions so the existing UI keeps working.
+import { cachedFetchJson, roundCoord } from "../cache.js";
+
+const FORECAST = "https://api.open-meteo.com/v1/forecast";
+const GEOCODING = "https://geocoding-api.open-meteo.com/v1/search";
+// Open-Meteo has no reverse geocoding; BigDataCloud's client endpoint is keyless
+const REVERSE = "https://api.bigdatacloud.net/data/reverse-geocode-client";
+const TTL = 10 * 60 * 1000;
+const GEO_TTL = 24 * 3600 * 1000;
+const FORECAST_DAYS = 10;
+
+// WMO code → [OpenWeather icon (without d/n), description]
+const WMO = {
+  0: ["01", "clear sky"],
+  1: ["02", "mainly clear"],
+  2: ["03", "partly cloudy"],
+  3: ["04", "overcast clouds"],
+  45: ["50", "fog"],
+  48: ["50", "depositing rime fog"],
+  51: ["09", "light drizzle"],
+  53: ["09", "drizzle"],
+  55: ["09", "dense drizzle"],
+  56: ["09", "light freezing drizzle"],
+  57: ["09", "freezing drizzle"],
+  61: ["10", "light rain"],
+  63: ["10", "moderate rain"],
+  65: ["10", "heavy intensity rain"],
+  66: ["13", "light freezing rain"],
+  67: ["13", "freezing rain"],
+  71: ["13", "light snow"],
+  73: ["13", "snow"],
+  75: ["13", "heavy snow"],
+  77: ["13", "snow grains"],
+  80: ["09", "light shower rain"],
+  81: ["09", "shower rain"],
+  82: ["09", "heavy shower rain"],
+  85: ["13", "light shower snow"],
+  86: ["13", "heavy shower snow"],
+  95: ["11", "thunderstorm"],
+  96: ["11", "thunderstorm with light hail"],
+  99: ["11", "thunderstorm with heavy hail"],
+};
+
+function weatherFromCode(code, isDay = 1) {
+  const [icon, description] = WMO[code] || ["03", "unknown"];
+  return { icon: `${icon}${isDay === 0 ? "n" : "d"}`, description };
+}
+
+const CURRENT_VARS = [
+  "temperature_2m",
+  "apparent_temperature",
+  "relative_humidity_2m",
+  "precipitation",
+  "weather_code",
+  "wind_speed_10m",
+  "wind_direction_10m",
+  "uv_index",
+  "is_day",
+].join(",");
+
+const HOURLY_VARS = [
+  "temperature_2m",
+  "apparent_temperature",
+  "relative_humidity_2m",
+  "precipitation_probability",
+  "precipitation",
+  "weather_code",
+  "wind_speed_10m",
+  "wind_direction_10m",
+  "wind_gusts_10m",
+  "uv_index",
+  "is_day",
+].join(",");
+
+const DAILY_VARS = [
+  "weather_code",
+  "temperature_2m_max",
+  "temperature_2m_min",
+  "precipitation_sum",
+  "precipitation_probability_max",
+  "relative_humidity_2m_mean",
+  "wind_speed_10m_max",
+  "uv_index_max",
+].join(",");
+
+// One request per rounded point carries current, hourly and daily data
+function fetchForecast(lat, lon) {
+  const la = roundCoord(lat);
+  const lo = roundCoord(lon);
+  const url = `${FORECAST}?latitude=${la}&longitude=${lo}&current=${CURRENT_VARS}&hourly=${HOURLY_VARS}&daily=${DAILY_VARS}&forecast_days=${FORECAST_DAYS}&timezone=auto&timeformat=unixtime&wind_speed_unit=ms`;
+  return cachedFetchJson(url, { key: `om:forecast:${la},${lo}`, ttl: TTL });
+}
+
+export const openMeteoProvider = {
+  label: "Open-Meteo",
+
+  async getCurrent(lat, lon) {
+    const d = await fetchForecast(lat, lon);
+    const c = d.current;
+    return {
+      dt: c.time,
+      temp: c.temperature_2m,
+      feels_like: c.apparent_temperature,
+      temp_min: d.daily?.temperature_2m_min?.[0] ?? c.temperature_2m,
+      temp_max: d.daily?.temperature_2m_max?.[0] ?? c.temperature_2m,
+      humidity: c.relative_humidity_2m,
+      wind_speed: c.wind_speed_10m,
+      wind_deg: c.wind_direction_10m,
+      precip: c.precipitation ?? 0,
+      uvi: c.uv_index ?? null,
+      ...weatherFromCode(c.weather_code, c.is_day),
+      timezone_offset: d.utc_offset_seconds,
+    };
+  },
+
+  async getHourly(lat, lon, hours = 24) {
+    const d = await fetchForecast(lat, lon);
+    const h = d.hourly;
+    const now = Date.now() / 1000 - 3600;
+    const out = [];
+    for (let i = 0; i < h.time.length && out.length < hours; i++) {
+      if (h.time[i] < now) continue; // Open-Meteo starts at local midnight
+      out.push({
+        dt: h.time[i],
+        temp: h.temperature_2m[i],
+        feels_like: h.apparent_temperature[i],
+        humidity: h.relative_humidity_2m[i],
+        wind_speed: h.wind_speed_10m[i],
+        wind_deg: h.wind_direction_10m[i],
+        wind_gust: h.wind_gusts_10m?.[i] ?? undefined,
+        rain: h.precipitation[i] ?? 0,
+        pop:
+          h.precipitation_probability[i] != null
+            ? h.precipitation_probability[i] / 100
+            : undefined,
+        uvi: h.uv_index[i],
+        ...weatherFromCode(h.weather_code[i], h.is_day[i]),
+      });
+    }
+    return out;
+  },
+
+  async getDaily(lat, lon, days = 10) {
+    const d = await fetchForecast(lat, lon);
+    const dl = d.daily;
+    return dl.time.slice(0, days).map((t, i) => ({
+      dt: t + 43200, // daily time is local midnight; stamp at local noon
+      temp: { min: dl.temperature_2m_min[i], max: dl.temperature_2m_max[i] },
+      humidity: dl.relative_humidity_2m_mean?.[i] ?? undefined,
+      wind_speed: dl.wind_speed_10m_max[i],
+      rain: dl.precipitation_sum[i] ?? 0,
+      pop:
+        dl.precipitation_probability_max[i] != null
+          ? dl.precipitation_probability_max[i] / 100
+          : undefined,
+      uvi: dl.uv_index_max[i],
+      ...weatherFromCode(dl.weather_code[i]),
+    }));
+  },
+
+  async getTimezoneOffset(lat, lon) {
+    const d = await fetchForecast(lat, lon); // timezone=auto
+    return d.utc_offset_seconds ?? 0;
+  },
+
+  // Open-Meteo has no warnings feed
+  async getAlerts() {
+    return [];
+  },
+
+  async geocode(query, limit = 5, { signal } = {}) {
+    const q = query.trim().toLowerCase();
+    const data = await cachedFetchJson(
+      `${GEOCODING}?name=${encodeURIComponent(q)}&count=${limit}`,
+      { key: `om:geo:${q}:${limit}`, ttl: GEO_TTL, signal }
+    ).catch((err) => {
+      if (err.name === "AbortError") throw err;
+      return {};
+    });
+    return (data.results || []).map((p) => ({
+      name: p.name,
+      lat: p.latitude,
+      lon: p.longitude,
+      country: p.country_code || "",
+      state: p.admin1,
+      local_names: {},
+    }));
+  },
+
+  async reverseGeocode(lat, lon) {
+    const la = roundCoord(lat);
+    const lo = roundCoord(lon);
+    const p = await cachedFetchJson(
+      `${REVERSE}?latitude=${la}&longitude=${lo}&localityLanguage=en`,
+      { key: `om:reverse:${la},${lo}`, ttl: GEO_TTL }
+    ).catch(() => null);
+    if (!p) return null;
+    const name = p.city || p.locality || p.principalSubdivision;
+    if (!name) return null;
+    return {
+      name,
+      lat,
+      lon,
+      country: p.countryCode || "",
+      state: p.principalSubdivision,
+      local_names: {},
+    };
+  },
+};
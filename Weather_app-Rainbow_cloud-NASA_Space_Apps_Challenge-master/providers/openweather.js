@@ -0,0 +1,310 @@
+// providers/openweather.js (ES module)
+// OpenWeather adapter: Current Weather 2.5, One Call 3.0 → 2.5, 5-day/3h fallback
+import { apiBase, apiKey } from "../appConfig.js";
+import {
+  cachedFetchJson,
+  roundCoord,
+  tiersFor,
+  rememberTier,
+} from "../cache.js";
+
+const BASE = apiBase;
+// behind the proxy (server/server.mjs) the server adds the key
+const AUTH = apiKey ? `&appid=${apiKey}` : "";
+const TTL = 10 * 60 * 1000; // forecasts
+const GEO_TTL = 24 * 3600 * 1000; // geocoding
+
+function oneCallUrl(version, lat, lon) {
+  return `${BASE}/data/${version}/onecall?lat=${lat}&lon=${lon}&exclude=minutely&units=metric${AUTH}`;
+}
+
+/**
+ * One Call 3.0 → 2.5 → 5-day/3h, starting at the tier that last worked.
+ * Returns { tier, data }. A single cached response per rounded point serves
+ * the current UVI, the hourly and the daily forecast.
+ */
+async function fetchForecastBundle(lat, lon) {
+  const la = roundCoord(lat);
+  const lo = roundCoord(lon);
+  let lastErr = null;
+  // only HTTP refusals (401/403/...) tell us a tier is unavailable;
+  // a network error says nothing about the key's plan
+  let refusedAbove = true;
+  for (const tier of tiersFor("owm", ["3.0", "2.5", "3h"])) {
+    const url =
+      tier === "3h"
+        ? `${BASE}/data/2.5/forecast?lat=${la}&lon=${lo}&units=metric${AUTH}`
+        : oneCallUrl(tier, la, lo);
+    try {
+      const data = await cachedFetchJson(url, {
+        key: `owm:${tier}:${la},${lo}`,
+        ttl: TTL,
+      });
+      if (refusedAbove) rememberTier("owm", tier);
+      return { tier, data };
+    } catch (err) {
+      lastErr = err;
+      if (!err.status) refusedAbove = false;
+    }
+  }
+  throw lastErr || new Error("No forecast data available");
+}
+
+function mapHour(h) {
+  return {
+    dt: h.dt,
+    temp: h.temp,
+    feels_like: h.feels_like,
+    humidity: h.humidity,
+    wind_speed: h.wind_speed,
+    wind_deg: h.wind_deg,
+    wind_gust: h.wind_gust,
+    rain: h.rain?.["1h"] ?? h.snow?.["1h"] ?? 0,
+    pop: h.pop,
+    uvi: h.uvi,
+    icon: h.weather?.[0]?.icon || "01d",
+    description: h.weather?.[0]?.description || "",
+  };
+}
+
+function mapDay(d) {
+  return {
+    dt: d.dt,
+    temp: { min: d.temp?.min, max: d.temp?.max },
+    humidity: d.humidity,
+    wind_speed: d.wind_speed,
+    wind_deg: d.wind_deg,
+    rain: (d.rain ?? 0) + (d.snow ?? 0),
+    pop: d.pop,
+    uvi: d.uvi,
+    icon: d.weather?.[0]?.icon || "01d",
+    description: d.weather?.[0]?.description || "",
+  };
+}
+
+// 5-day/3h list → one entry per local calendar day (min/max, dominant
+// weather). tz: the location's UTC offset in seconds (city.timezone).
+function aggregate3hDays(list, count, tz = 0) {
+  const byDay = new Map();
+  for (const item of list) {
+    const local = (item.dt || 0) + tz;
+    const dayKey = new Date(local * 1000).toISOString().slice(0, 10); // YYYY-MM-DD
+    const rec = byDay.get(dayKey) || {
+      temps: [],
+      winds: [],
+      pops: [],
+      hums: [],
+      rain: 0,
+      icons: {},
+      descs: {},
+      // local noon, like the One Call / Open-Meteo daily entries
+      dt: Math.floor(local / 86400) * 86400 + 43200 - tz,
+    };
+    if (item.main) {
+      rec.temps.push(item.main.temp);
+      rec.hums.push(item.main.humidity);
+    }
+    if (item.wind) rec.winds.push(item.wind.speed);
+    if (item.pop !== undefined) rec.pops.push(item.pop);
+    if (item.rain && item.rain["3h"]) rec.rain += item.rain["3h"];
+    const icon = item.weather && item.weather[0]?.icon;
+    const desc = item.weather && item.weather[0]?.description;
+    if (icon) rec.icons[icon] = (rec.icons[icon] || 0) + 1;
+    if (desc) rec.descs[desc] = (rec.descs[desc] || 0) + 1;
+    byDay.set(dayKey, rec);
+  }
+  return Array.from(byDay.entries())
+    .sort((a, b) => (a[0] < b[0] ? -1 : 1))
+    .slice(0, count)
+    .map(([_, rec]) => {
+      const topIcon =
+        Object.entries(rec.icons).sort((a, b) => b[1] - a[1])[0]?.[0] || "01d";
+      const topDesc =
+        Object.entries(rec.descs).sort((a, b) => b[1] - a[1])[0]?.[0] || "";
+      return {
+        dt: rec.dt,
+        temp: {
+          min: Math.round(Math.min(...rec.temps)),
+          max: Math.round(Math.max(...rec.temps)),
+        },
+        humidity: rec.hums.length
+          ? Math.round(rec.hums.reduce((a, b) => a + b, 0) / rec.hums.length)
+          : undefined,
+        wind_speed: rec.winds.length ? Math.max(...rec.winds) : undefined,
+        pop: rec.pops.length ? Math.max(...rec.pops) : undefined,
+        rain: Math.round(rec.rain * 10) / 10,
+        icon: topIcon,
+        description: topDesc,
+      };
+    });
+}
+
+function mapAlert(a) {
+  return {
+    sender: a.sender_name || "",
+    event: a.event || "",
+    start: a.start,
+    end: a.end,
+    description: a.description || "",
+    tags: a.tags || [],
+  };
+}
+
+const lerp = (a, b, f) =>
+  a === undefined || b === undefined ? a ?? b : a + (b - a) * f;
+
+// shortest way round the compass (350° → 10° passes through 0°)
+function lerpDeg(a, b, f) {
+  if (a === undefined || b === undefined) return a ?? b;
+  const diff = ((b - a + 540) % 360) - 180;
+  return Math.round((a + diff * f + 360) % 360);
+}
+
+// 5-day/3h list → hourly series. Temperature, humidity and wind are linearly
+// interpolated between the 3h points; each 3h precipitation total (volume of
+// the 3 hours before its point) is spread evenly over those hours. Points that
+// are not in the original list carry interpolated: true.
+function expand3hToHourly(list, hours) {
+  const out = [];
+  for (let i = 0; i < list.length && out.length < hours; i++) {
+    const a = list[i];
+    const b = list[i + 1];
+    const steps = b ? Math.round((b.dt - a.dt) / 3600) : 1;
+    const rainPerHour = b ? (b.rain?.["3h"] ?? b.snow?.["3h"] ?? 0) / steps : 0;
+    for (let k = 0; k < steps && out.length < hours; k++) {
+      const f = k / steps;
+      const near = b && f > 0.5 ? b : a;
+      out.push({
+        dt: a.dt + k * 3600,
+        temp: lerp(a.main?.temp, b?.main?.temp, f) ?? 0,
+        feels_like: lerp(a.main?.feels_like, b?.main?.feels_like, f),
+        humidity:
+          a.main?.humidity !== undefined
+            ? Math.round(lerp(a.main.humidity, b?.main?.humidity, f))
+            : undefined,
+        wind_speed: lerp(a.wind?.speed, b?.wind?.speed, f),
+        wind_deg: lerpDeg(a.wind?.deg, b?.wind?.deg, f),
+        wind_gust: lerp(a.wind?.gust, b?.wind?.gust, f),
+        rain: Math.round(rainPerHour * 100) / 100,
+        // probability for the 3h window the hour belongs to
+        pop: b?.pop ?? a.pop,
+        icon: near.weather?.[0]?.icon || "01d",
+        description: near.weather?.[0]?.description || "",
+        interpolated: k > 0,
+      });
+    }
+  }
+  return out;
+}
+
+function mapPlace(p) {
+  return {
+    name: p.name,
+    lat: p.lat,
+    lon: p.lon,
+    country: p.country || "",
+    state: p.state,
+    local_names: p.local_names || {},
+  };
+}
+
+export const openWeatherProvider = {
+  label: "OpenWeather",
+
+  async getCurrent(lat, lon) {
+    const la = roundCoord(lat);
+    const lo = roundCoord(lon);
+    const [c, bundle] = await Promise.all([
+      cachedFetchJson(
+        `${BASE}/data/2.5/weather?lat=${la}&lon=${lo}&units=metric${AUTH}`,
+        { key: `owm:current:${la},${lo}`, ttl: TTL }
+      ).catch(() => {
+        throw new Error("Could not fetch weather data");
+      }),
+      // UV index is only in One Call; the 3h tier or a failure leaves it null
+      fetchForecastBundle(lat, lon).catch(() => null),
+    ]);
+    const oc = bundle && bundle.tier !== "3h" ? bundle.data : null;
+    return {
+      dt: c.dt,
+      temp: c.main.temp,
+      feels_like: c.main.feels_like,
+      temp_min: c.main.temp_min,
+      temp_max: c.main.temp_max,
+      humidity: c.main.humidity,
+      wind_speed: c.wind?.speed ?? 0,
+      wind_deg: c.wind?.deg,
+      precip: c.rain?.["1h"] ?? c.snow?.["1h"] ?? 0,
+      uvi: oc?.current?.uvi ?? null,
+      icon: c.weather?.[0]?.icon || "01d",
+      description: c.weather?.[0]?.description || "",
+      timezone_offset: c.timezone,
+    };
+  },
+
+  async getHourly(lat, lon, hours = 24) {
+    const { tier, data } = await fetchForecastBundle(lat, lon);
+    if (tier !== "3h") {
+      return (Array.isArray(data.hourly) ? data.hourly : [])
+        .slice(0, hours)
+        .map(mapHour);
+    }
+
+    // 5-day/3h fallback, expanded to hourly steps
+    const list = (Array.isArray(data.list) ? data.list : []).slice(
+      0,
+      Math.ceil(hours / 3) + 1
+    );
+    return expand3hToHourly(list, hours);
+  },
+
+  async getDaily(lat, lon, days = 10) {
+    const { tier, data } = await fetchForecastBundle(lat, lon);
+    const result =
+      tier === "3h"
+        ? aggregate3hDays(
+            Array.isArray(data.list) ? data.list : [],
+            days,
+            data.city?.timezone ?? 0
+          )
+        : (Array.isArray(data.daily) ? data.daily : [])
+            .slice(0, days)
+            .map(mapDay);
+    if (result.length) return result;
+    throw new Error("No forecast data available");
+  },
+
+  async getTimezoneOffset(lat, lon) {
+    const { tier, data } = await fetchForecastBundle(lat, lon);
+    return (tier === "3h" ? data.city?.timezone : data.timezone_offset) ?? 0;
+  },
+
+  // alerts only come with One Call; the 3h tier has none
+  async getAlerts(lat, lon) {
+    const { tier, data } = await fetchForecastBundle(lat, lon);
+    if (tier === "3h" || !Array.isArray(data.alerts)) return [];
+    return data.alerts.map(mapAlert);
+  },
+
+  async geocode(query, limit = 5, { signal } = {}) {
+    const q = query.trim().toLowerCase();
+    const data = await cachedFetchJson(
+      `${BASE}/geo/1.0/direct?q=${encodeURIComponent(q)}&limit=${limit}${AUTH}`,
+      { key: `owm:geo:${q}:${limit}`, ttl: GEO_TTL, signal }
+    ).catch((err) => {
+      if (err.name === "AbortError") throw err;
+      return [];
+    });
+    return Array.isArray(data) ? data.map(mapPlace) : [];
+  },
+
+  async reverseGeocode(lat, lon) {
+    const la = roundCoord(lat);
+    const lo = roundCoord(lon);
+    const data = await cachedFetchJson(
+      `${BASE}/geo/1.0/reverse?lat=${la}&lon=${lo}&limit=1${AUTH}`,
+      { key: `owm:reverse:${la},${lo}`, ttl: GEO_TTL }
+    ).catch(() => null);
+    return data && data.length ? mapPlace(data[0]) : null;
+  },
+};
@@ -0,0 +1,70 @@
+// pwa.js (ES module)
+// Installable / offline app: registers the service worker (sw.js), shows the
+// header install button when the browser offers it, and stamps the info panel
+// with the age of the weather data when it comes from the offline cache.
+import { oldestStale } from "./cache.js";
+import { t } from "./i18n.js";
+import { formatDate } from "./format.js";
+
+// service workers need http(s); opening index.html from disk still works
+if ("serviceWorker" in navigator && location.protocol.startsWith("http")) {
+  window.addEventListener("load", () => {
+    navigator.serviceWorker
+      .register("./sw.js")
+      .catch((err) =>
+        console.error("Service worker registration failed:", err)
+      );
+  });
+}
+
+// ---------- Install button ----------
+let installPrompt = null;
+const installBtn = document.getElementById("installBtn");
+
+window.addEventListener("beforeinstallprompt", (e) => {
+  e.preventDefault(); // show our own button instead of the mini-infobar
+  installPrompt = e;
+  if (installBtn) installBtn.hidden = false;
+});
+
+installBtn?.addEventListener("click", async () => {
+  if (!installPrompt) return;
+  installPrompt.prompt();
+  await installPrompt.userChoice;
+  installPrompt = null;
+  installBtn.hidden = true;
+});
+
+window.addEventListener("appinstalled", () => {
+  installPrompt = null;
+  if (installBtn) installBtn.hidden = true;
+});
+
+// ---------- "Data as of" stamp ----------
+function renderDataAge() {
+  const el = document.getElementById("data_as_of");
+  if (!el) return;
+  const since = oldestStale();
+  if (since === null && navigator.onLine) {
+    el.hidden = true;
+    return;
+  }
+  el.hidden = false;
+  el.textContent =
+    since === null
+      ? t("pwa.offline")
+      : t("pwa.dataAsOf", {
+          time: formatDate(since / 1000, {
+            day: "2-digit",
+            month: "2-digit",
+            hour: "2-digit",
+            minute: "2-digit",
+          }),
+        });
+}
+
+window.addEventListener("cachestatus", renderDataAge);
+window.addEventListener("online", renderDataAge);
+window.addEventListener("offline", renderDataAge);
+window.addEventListener("settingschange", renderDataAge);
+renderDataAge();
@@ -0,0 +1,198 @@
+// radar.js (ES module)
+// Animated precipitation radar (RainViewer, keyless) with a time slider under
+// the map: play/pause, frame stepping and the frame's time. Every frame is its
+// own tile layer kept on the map at opacity 0, so all tiles are preloaded and
+// playback only swaps opacities (the map runs with fadeAnimation: false).
+import { radarMapsUrl } from "./appConfig.js";
+import { cachedFetchJson } from "./cache.js";
+import { t } from "./i18n.js";
+import { formatDate } from "./format.js";
+
+const L = window.L;
+const OPACITY = 0.7;
+const FRAME_MS = 600;
+const LAST_FRAME_MS = 1800; // linger on the newest frame before looping
+const MAPS_TTL = 5 * 60 * 1000; // RainViewer publishes a frame every 10 min
+
+// weather-maps.json → [{ time, url, forecast }] oldest first
+async function loadFrames() {
+  const data = await cachedFetchJson(radarMapsUrl, {
+    key: "rainviewer:maps",
+    ttl: MAPS_TTL,
+  });
+  const host = data.host || "";
+  const frame = (forecast) => (f) => ({
+    time: f.time,
+    url: `${host}${f.path}/256/{z}/{x}/{y}/2/1_1.png`,
+    forecast,
+  });
+  return [
+    ...(data.radar?.past || []).map(frame(false)),
+    ...(data.radar?.nowcast || []).map(frame(true)),
+  ];
+}
+
+/**
+ * Radar bar into container (under the map) driving frame layers on map.
+ */
+export function createRadar(map, container) {
+  let frames = []; // [{ time, url, forecast, layer, loaded }]
+  let index = 0;
+  let enabled = false;
+  let timer = null;
+  let status = ""; // loading / error text instead of the time
+
+  container.innerHTML = `
+    <label class="radar-toggle">
+      <input type="checkbox" data-radar="toggle" />
+      <span data-label="toggle"></span>
+    </label>
+    <button type="button" data-radar="prev">⏮</button>
+    <button type="button" data-radar="play">▶</button>
+    <button type="button" data-radar="next">⏭</button>
+    <input type="range" data-radar="slider" min="0" max="0" value="0" />
+    <span class="radar-time" aria-live="polite"></span>`;
+  const el = (name) => container.querySelector(`[data-radar="${name}"]`);
+  const timeLabel = container.querySelector(".radar-time");
+
+  function labels() {
+    container.querySelector('[data-label="toggle"]').textContent =
+      t("radar.toggle");
+    for (const name of ["prev", "next", "slider"]) {
+      el(name).setAttribute("aria-label", t(`radar.${name}`));
+      el(name).title = t(`radar.${name}`);
+    }
+    const play = timer ? t("radar.pause") : t("radar.play");
+    el("play").setAttribute("aria-label", play);
+    el("play").title = play;
+    el("play").textContent = timer ? "⏸" : "▶";
+  }
+
+  function update() {
+    const ready = enabled && frames.length > 0;
+    for (const name of ["prev", "play", "next", "slider"])
+      el(name).disabled = !ready;
+    el("slider").max = Math.max(0, frames.length - 1);
+    el("slider").value = index;
+    labels();
+
+    if (!enabled) {
+      timeLabel.textContent = t("radar.off");
+      return;
+    }
+    const f = frames[index];
+    const loaded = frames.filter((fr) => fr.loaded).length;
+    const parts = [];
+    if (f) {
+      parts.push(
+        formatDate(f.time, {
+          weekday: "short",
+          hour: "2-digit",
+          minute: "2-digit",
+        }),
+        f.forecast ? t("radar.forecast") : t("radar.past")
+      );
+    }
+    if (status) parts.push(status);
+    else if (frames.length && loaded < frames.length)
+      parts.push(t("radar.loading", { done: loaded, total: frames.length }));
+    timeLabel.textContent = parts.join(" · ");
+  }
+
+  function show(i) {
+    if (!frames.length) return;
+    index = (i + frames.length) % frames.length;
+    frames.forEach((f, k) => f.layer.setOpacity(k === index ? OPACITY : 0));
+    update();
+  }
+
+  function stop() {
+    clearTimeout(timer);
+    timer = null;
+    update();
+  }
+
+  function play() {
+    const tick = () => {
+      show(index + 1);
+      timer = setTimeout(
+        tick,
+        index === frames.length - 1 ? LAST_FRAME_MS : FRAME_MS
+      );
+    };
+    timer = setTimeout(tick, FRAME_MS);
+    update();
+  }
+
+  function clearFrames() {
+    for (const f of frames) map.removeLayer(f.layer);
+    frames = [];
+  }
+
+  async function enable() {
+    status = t("radar.loadingList");
+    update();
+    let list = [];
+    try {
+      list = await loadFrames();
+    } catch (err) {
+      console.error("Radar frames error:", err);
+    }
+    if (!enabled) return; // switched off meanwhile
+    status = list.length ? "" : t("radar.error");
+    clearFrames();
+    frames = list.map((f) => {
+      const frame = { ...f, loaded: false };
+      frame.layer = L.tileLayer(f.url, {
+        opacity: 0,
+        zIndex: 6,
+        maxNativeZoom: 7, // RainViewer serves radar tiles up to zoom 7
+        maxZoom: 19,
+        attribution: "Radar © RainViewer",
+        errorTileUrl: "data:image/gif;base64,R0lGODlhAQABAAAAACw=",
+      })
+        .on("load", () => {
+          frame.loaded = true;
+          update();
+        })
+        .on("loading", () => {
+          frame.loaded = false;
+        })
+        .addTo(map);
+      return frame;
+    });
+    // start at the latest observation ("now")
+    const now = frames.filter((f) => !f.forecast).length - 1;
+    show(Math.max(0, now));
+  }
+
+  container.addEventListener("change", (e) => {
+    if (e.target !== el("toggle")) return;
+    enabled = e.target.checked;
+    if (enabled) enable();
+    else {
+      stop();
+      clearFrames();
+      status = "";
+      update();
+    }
+  });
+  container.addEventListener("click", (e) => {
+    const action = e.target.closest("button")?.dataset.radar;
+    if (!action) return;
+    if (action === "play") {
+      if (timer) stop();
+      else play();
+    } else {
+      stop();
+      show(index + (action === "next" ? 1 : -1));
+    }
+  });
+  el("slider").addEventListener("input", (e) => {
+    stop();
+    show(Number(e.target.value));
+  });
+
+  window.addEventListener("settingschange", update);
+  update();
+}
@@ -0,0 +1,198 @@
+// regionstats.js (ES module)
+// Köppen class breakdown for a region drawn on the map (rectangle/polygon)
+import { koppenByValue } from "./koppen.js";
+import { t } from "./i18n.js";
+import { locale } from "./format.js";
+
+const EARTH_RADIUS_KM = 6371;
+const MAX_SAMPLES = 2e6; // larger regions are sampled with a stride
+
+// Ray casting; ring: [{ lat, lng }]
+function insideRing(lat, lng, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const a = ring[i];
+    const b = ring[j];
+    if (
+      a.lat > lat !== b.lat > lat &&
+      lng < ((b.lng - a.lng) * (lat - a.lat)) / (b.lat - a.lat) + a.lng
+    ) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Area-weighted Köppen statistics of the georaster inside ring.
+ * Each pixel is weighted by cos(latitude), i.e. by its true area on an
+ * equal-angle grid. Returns null when the region misses the raster.
+ * Result: { classes: [{ value, code, description, color, pixels, areaKm2,
+ *   percent }], dominant, areaKm2, noDataKm2, pixels, stride, bounds }
+ */
+export function computeRegionStats(georaster, ring) {
+  if (!georaster || !ring || ring.length < 3) return null;
+  const lats = ring.map((p) => p.lat);
+  const lngs = ring.map((p) => p.lng);
+  const bounds = {
+    south: Math.min(...lats),
+    north: Math.max(...lats),
+    west: Math.min(...lngs),
+    east: Math.max(...lngs),
+  };
+
+  const pw = georaster.pixelWidth;
+  const ph = Math.abs(georaster.pixelHeight);
+  const col0 = Math.max(0, Math.floor((bounds.west - georaster.xmin) / pw));
+  const col1 = Math.min(
+    georaster.width - 1,
+    Math.floor((bounds.east - georaster.xmin) / pw)
+  );
+  const row0 = Math.max(0, Math.floor((georaster.ymax - bounds.north) / ph));
+  const row1 = Math.min(
+    georaster.height - 1,
+    Math.floor((georaster.ymax - bounds.south) / ph)
+  );
+  if (col1 < col0 || row1 < row0) return null;
+
+  const n = (col1 - col0 + 1) * (row1 - row0 + 1);
+  const stride = Math.max(1, Math.ceil(Math.sqrt(n / MAX_SAMPLES)));
+  // km² of one (stride-scaled) pixel at the equator
+  const cellKm2 =
+    ((pw * stride * Math.PI) / 180) *
+    ((ph * stride * Math.PI) / 180) *
+    EARTH_RADIUS_KM ** 2;
+
+  const weights = new Map();
+  let noData = 0;
+  let pixels = 0;
+  const band = georaster.values[0];
+  for (let row = row0; row <= row1; row += stride) {
+    const lat = georaster.ymax - (row + 0.5) * ph;
+    const w = Math.cos((lat * Math.PI) / 180);
+    for (let col = col0; col <= col1; col += stride) {
+      const lng = georaster.xmin + (col + 0.5) * pw;
+      if (!insideRing(lat, lng, ring)) continue;
+      pixels++;
+      const v = band[row][col];
+      if (!koppenByValue(v)) {
+        noData += w;
+        continue;
+      }
+      const rec = weights.get(v) || { weight: 0, pixels: 0 };
+      rec.weight += w;
+      rec.pixels++;
+      weights.set(v, rec);
+    }
+  }
+
+  const total = [...weights.values()].reduce((s, r) => s + r.weight, 0);
+  const classes = [...weights.entries()]
+    .map(([value, rec]) => {
+      const cls = koppenByValue(value);
+      return {
+        value,
+        code: cls.code,
+        description: cls.description,
+        color: cls.color,
+        pixels: rec.pixels,
+        areaKm2: Math.round(rec.weight * cellKm2),
+        percent: total ? (rec.weight / total) * 100 : 0,
+      };
+    })
+    .sort((a, b) => b.percent - a.percent);
+
+  return {
+    classes,
+    dominant: classes[0] || null,
+    areaKm2: Math.round(total * cellKm2),
+    noDataKm2: Math.round(noData * cellKm2),
+    pixels,
+    stride,
+    bounds,
+  };
+}
+
+/**
+ * CSV export of computeRegionStats() output
+ */
+export function regionStatsCsv(stats) {
+  const b = stats.bounds;
+  const lines = [
+    `# bounds: S ${b.south.toFixed(3)}, N ${b.north.toFixed(
+      3
+    )}, W ${b.west.toFixed(3)}, E ${b.east.toFixed(3)}`,
+    `# land area km2: ${stats.areaKm2}, no data km2: ${stats.noDataKm2}`,
+    "code,description,pixels,area_km2,percent",
+    ...stats.classes.map(
+      (c) =>
+        `${c.code},"${c.description}",${c.pixels},${
+          c.areaKm2
+        },${c.percent.toFixed(2)}`
+    ),
+  ];
+  return lines.join("\n");
+}
+
+function downloadCsv(stats) {
+  const blob = new Blob([regionStatsCsv(stats)], { type: "text/csv" });
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = "koppen-region-stats.csv";
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+/**
+ * Show the statistics in the #regionStats panel (percent table + histogram).
+ * emptyMessage is shown instead when there is nothing to report.
+ */
+export function renderRegionStats(stats, emptyMessage = t("region.empty")) {
+  const section = document.getElementById("regionStats");
+  const body = document.getElementById("regionStatsBody");
+  if (!section || !body) return;
+  section.hidden = false;
+
+  if (!stats || !stats.classes.length) {
+    body.innerHTML = emptyMessage;
+    return;
+  }
+
+  const max = stats.classes[0].percent;
+  const km2 = (v) => `${v.toLocaleString(locale())} km²`;
+  const rows = stats.classes
+    .map(
+      (c) => `
+      <div class="region-row" title="${c.description}">
+        <span class="region-code"><i style="background:${c.color}"></i>${
+        c.code
+      }</span>
+        <span class="region-bar"><span style="width:${(
+          (c.percent / max) *
+          100
+        ).toFixed(1)}%;background:${c.color}"></span></span>
+        <span class="region-pct">${c.percent.toFixed(1)}%</span>
+        <span class="region-area">${km2(c.areaKm2)}</span>
+      </div>`
+    )
+    .join("");
+
+  body.innerHTML = `
+    <div class="region-summary">
+      ${t("region.dominant")}: <b>${stats.dominant.code}</b> (${
+    stats.dominant.description
+  }, ${stats.dominant.percent.toFixed(1)}%)<br/>
+      ${t("region.area")}: <b>${km2(stats.areaKm2)}</b>${
+    stats.noDataKm2 ? ` · ${t("region.noData")}: ${km2(stats.noDataKm2)}` : ""
+  }${stats.stride > 1 ? ` · ${t("region.sampled", { n: stats.stride })}` : ""}
+    </div>
+    <div class="region-hist">${rows}</div>
+    <button type="button" class="btn btn--primary" id="regionCsvBtn">${t(
+      "region.export"
+    )}</button>`;
+  document
+    .getElementById("regionCsvBtn")
+    .addEventListener("click", () => downloadCsv(stats));
+}
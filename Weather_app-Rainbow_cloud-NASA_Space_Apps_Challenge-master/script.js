@@ -1,24 +1,59 @@
 // script.js (ES module)
 // Functions: geocodeSuggest, getCoordinates, getNameByCoordinates, getElevation, getClimate, updateInfo
 
-import { apiKey } from "./config.js";
-import { getForecast10Days, getHourly24 } from "./options.js";
+import {
+  getProvider,
+  getProviderId,
+  setProvider,
+  listProviders,
+} from "./providers/index.js";
+import {
+  getForecast10Days,
+  getHourly48,
+  getTimezoneOffset,
+} from "./options.js";
+import { koppenByValue, koppenLabel } from "./koppen.js";
+import { renderPlanning } from "./planning.js";
+import { renderSelfForecast } from "./selfforecast.js";
+import { renderCompare } from "./compare.js";
+import { renderHistory } from "./history.js";
+import { bindExportMenu } from "./export.js";
+import { renderWatches, bindWatches } from "./watches.js";
+import { renderAirQuality, showAirQuality } from "./airquality.js";
+import { renderHourlyChart } from "./hourlychart.js";
+import { showAlerts } from "./alerts.js";
+import { setCurrentPlace } from "./favorites.js";
+import {
+  comfortIndex,
+  comfortLabel,
+  comfortTooltip,
+  paintComfortBars,
+  COMFORT_COLORS,
+} from "./comfort.js";
+import { readState, updateState } from "./urlstate.js";
+import { bindSettingsPanel } from "./settings.js";
+import { t, applyI18n, translateDescription } from "./i18n.js";
+import {
+  formatTemp,
+  formatWind,
+  formatPrecip,
+  formatElevation,
+  formatTime,
+  formatDay,
+  formatUvi,
+  formatUtcOffset,
+} from "./format.js";
 
 /**
- * Gợi ý geocoding (OpenWeather Direct Geocoding)
- * returns array of places [{name, lat, lon, country, local_names}, ...]
+ * Gợi ý geocoding (qua weather provider đang chọn)
+ * returns array of places [{name, lat, lon, country, state, local_names}, ...]
  */
-export async function geocodeSuggest(query, limit = 5) {
+export async function geocodeSuggest(query, limit = 5, { signal } = {}) {
   if (!query) return [];
   try {
-    const url = `https://api.openweathermap.org/geo/1.0/direct?q=${encodeURIComponent(
-      query
-    )}&limit=${limit}&appid=${apiKey}`;
-    const r = await fetch(url);
-    if (!r.ok) return [];
-    const data = await r.json();
-    return data;
+    return await getProvider().geocode(query, limit, { signal });
   } catch (err) {
+    if (err.name === "AbortError") throw err; // superseded by a newer query
     console.error("geocodeSuggest error:", err);
     return [];
   }
@@ -28,24 +63,15 @@ export async function geocodeSuggest(query, limit = 5) {
  * Lấy tọa độ 1 kết quả (limit=1)
  */
 export async function getCoordinates(city) {
-  try {
-    const url = `https://api.openweathermap.org/geo/1.0/direct?q=${encodeURIComponent(
-      city
-    )}&limit=1&appid=${apiKey}`;
-    const response = await fetch(url);
-    if (!response.ok) throw new Error("City not found");
-    const data = await response.json();
-    if (!data || data.length === 0) throw new Error("City not found");
-    return {
-      lat: data[0].lat,
-      lon: data[0].lon,
-      local_name: data[0].local_names || {},
-      country: data[0].country,
-      name: data[0].name,
-    };
-  } catch (err) {
-    throw err;
-  }
+  const data = await getProvider().geocode(city, 1);
+  if (!data || data.length === 0) throw new Error("City not found");
+  return {
+    lat: data[0].lat,
+    lon: data[0].lon,
+    local_name: data[0].local_names || {},
+    country: data[0].country,
+    name: data[0].name,
+  };
 }
 
 /**
@@ -53,16 +79,14 @@ export async function getCoordinates(city) {
  */
 export async function getNameByCoordinates(lat, lon) {
   try {
-    const url = `https://api.openweathermap.org/geo/1.0/reverse?lat=${lat}&lon=${lon}&limit=1&appid=${apiKey}`;
-    const response = await fetch(url);
-    const data = await response.json();
-    if (data && data.length > 0) {
-      return { place_name: data[0].name, country: data[0].country };
+    const place = await getProvider().reverseGeocode(lat, lon);
+    if (place) {
+      return { place_name: place.name, country: place.country };
     }
-    return { place_name: "Unknown place", country: "" };
+    return { place_name: t("common.unknownPlace"), country: "" };
   } catch (err) {
     console.error("getNameByCoordinates error:", err);
-    return { place_name: "Unknown place", country: "" };
+    return { place_name: t("common.unknownPlace"), country: "" };
   }
 }
 
@@ -88,24 +112,14 @@ export async function getElevation(lat, lon) {
 /**
  * Lấy thông tin khí hậu từ georaster object (đã parse bằng parseGeoraster)
  * georaster: đối tượng georaster hoặc null
- * Trả về { climateCode, climateType }
+ * Trả về { climateCode ("Cfa"), climateValue (raster value 1-30), climateType (label) }
  */
-const koppenClasses = {
-  // Ví dụ mapping (bạn mở rộng theo bộ dữ liệu của bạn)
-  0: { name: "No data" },
-  1: { name: "Tropical (A)" },
-  2: { name: "Arid (B)" },
-  3: { name: "Temperate (C)" },
-  4: { name: "Cold (D)" },
-  5: { name: "Polar (E)" },
-  // ... mở rộng theo giá trị thực tế của GeoTIFF bạn dùng
-};
-
 export function getClimate(lat, lon, georaster) {
   let climateCode = null;
-  let climateType = "Unknown";
+  let climateValue = null;
+  let climateType = t("common.unknown");
   try {
-    if (!georaster) return { climateCode, climateType };
+    if (!georaster) return { climateCode, climateValue, climateType };
 
     const xmin = georaster.xmin;
     const ymax = georaster.ymax;
@@ -122,31 +136,50 @@ export function getClimate(lat, lon, georaster) {
       xPixel < georaster.width
     ) {
       const val = georaster.values[0][yPixel][xPixel];
-      climateCode = val;
-      if (val in koppenClasses) {
-        climateType = koppenClasses[val].name;
-      } else {
-        climateType = `Code ${val}`;
-      }
+      climateValue = val;
+      const cls = koppenByValue(val);
+      climateCode = cls ? cls.code : null;
+      climateType = koppenLabel(cls);
     }
   } catch (err) {
     console.error("getClimate error:", err);
   }
-  return { climateCode, climateType };
+  return { climateCode, climateValue, climateType };
 }
 
 /**
- * Lấy thời tiết hiện tại (OpenWeather Current)
+ * Lấy thời tiết hiện tại (normalized CurrentWeather, °C)
  */
 export async function getCurrentWeather(lat, lon) {
-  try {
-    const url = `https://api.openweathermap.org/data/2.5/weather?lat=${lat}&lon=${lon}&appid=${apiKey}`;
-    const response = await fetch(url);
-    if (!response.ok) throw new Error("Could not fetch weather data");
-    return await response.json();
-  } catch (err) {
-    throw err;
-  }
+  return getProvider().getCurrent(lat, lon);
+}
+
+// arguments of the last updateInfo call, replayed when the provider changes
+let lastInfoArgs = null;
+// UTC offset (s) of the selected location, for the header clock
+let locationTz = null;
+let clockTimer = null;
+
+function updateLocalTime() {
+  const el = document.getElementById("local_time");
+  if (!el) return;
+  el.innerHTML =
+    locationTz === null
+      ? ""
+      : t("info.localTime", {
+          time: formatTime(Date.now() / 1000, locationTz),
+          offset: formatUtcOffset(locationTz),
+        });
+}
+
+/**
+ * Location shown in the info panel: { lat, lon, name, country }, or null
+ * before the first one (used by the exports)
+ */
+export function selectedPlace() {
+  if (!lastInfoArgs) return null;
+  const [lat, lon, , , name, country] = lastInfoArgs;
+  return { lat, lon, name, country };
 }
 
 /**
@@ -155,114 +188,97 @@ export async function getCurrentWeather(lat, lon) {
 export async function updateInfo(
   lat,
   lon,
-  climateType = "Unknown",
-  elevation = "Unknown",
+  climateType = null,
+  elevation = null,
   place_name = "",
   country = ""
 ) {
   try {
     // remember last selected coordinates for other features (e.g., 10-day forecast)
     window._lastLatLon = { lat, lon };
+    lastInfoArgs = [lat, lon, climateType, elevation, place_name, country];
     document.getElementById(
       "location_name"
-    ).innerHTML = `${place_name}, ${country}`;
-    document.getElementById("elevation").innerHTML = `Elevation: ${
-      elevation ?? "Unknown"
-    } m`;
-    document.getElementById(
-      "climate_type"
-    ).innerHTML = `Climate type: ${climateType}`;
+    ).textContent = `${place_name}, ${country}`;
+    setCurrentPlace({ lat, lon, name: place_name, country });
+    document.getElementById("elevation").innerHTML = t("info.elevation", {
+      value: formatElevation(elevation),
+    });
+    document.getElementById("climate_type").innerHTML = t("info.climate", {
+      value: climateType ?? t("common.unknown"),
+    });
 
     const current = await getCurrentWeather(lat, lon);
-    const descriptions = current.weather.map((w) =>
-      w.description.toLowerCase()
-    );
+    const descriptions = [current.description.toLowerCase()];
 
-    const tempC = (current.main.temp - 273.15).toFixed(1);
-    const feelsC = (current.main.feels_like - 273.15).toFixed(1);
+    locationTz = current.timezone_offset ?? (await getTimezoneOffset(lat, lon));
+    updateLocalTime();
+    if (!clockTimer) clockTimer = setInterval(updateLocalTime, 30000);
+    showAlerts(lat, lon, locationTz);
 
-    document.getElementById("temperature").innerHTML = `${tempC}°C`;
-    document.getElementById("weather_desc").innerHTML =
-      current.weather[0].description;
-    document.getElementById("feels_like").innerHTML = `Feels like: ${feelsC}°C`;
+    document.getElementById("temperature").innerHTML = formatTemp(
+      current.temp,
+      1
+    );
+    document.getElementById("weather_desc").innerHTML = translateDescription(
+      current.description
+    );
+    document.getElementById("feels_like").innerHTML = t("info.feelsLike", {
+      value: formatTemp(current.feels_like, 1),
+    });
 
     // update background
     updateBackground(descriptions);
 
     document.getElementById(
       "weather_icon"
-    ).src = `http://openweathermap.org/img/wn/${current.weather[0].icon}@2x.png`;
+    ).src = `http://openweathermap.org/img/wn/${current.icon}@2x.png`;
 
-    const minC = (current.main.temp_min - 273.15).toFixed(1);
-    const maxC = (current.main.temp_max - 273.15).toFixed(1);
+    const currentRange = t("info.minMax", {
+      min: formatTemp(current.temp_min, 1),
+      max: formatTemp(current.temp_max, 1),
+    });
     // Prefer accurate min/max from daily forecast if available
     try {
       const dailyOne = await getForecast10Days(lat, lon, 1);
       if (Array.isArray(dailyOne) && dailyOne.length > 0 && dailyOne[0].temp) {
-        const minDaily = Math.round(dailyOne[0].temp.min);
-        const maxDaily = Math.round(dailyOne[0].temp.max);
-        document.getElementById(
-          "temp_range"
-        ).innerHTML = `Min ${minDaily}°C / Max ${maxDaily}°C`;
+        document.getElementById("temp_range").innerHTML = t("info.minMax", {
+          min: formatTemp(dailyOne[0].temp.min),
+          max: formatTemp(dailyOne[0].temp.max),
+        });
       } else {
-        document.getElementById(
-          "temp_range"
-        ).innerHTML = `Min ${minC}°C / Max ${maxC}°C`;
+        document.getElementById("temp_range").innerHTML = currentRange;
       }
     } catch (e) {
-      document.getElementById(
-        "temp_range"
-      ).innerHTML = `Min ${minC}°C / Max ${maxC}°C`;
+      document.getElementById("temp_range").innerHTML = currentRange;
     }
 
-    const humidity = current.main.humidity;
+    const humidity = current.humidity;
     document.getElementById("humidity_value").innerHTML = `${humidity}%`;
     const bar = document.getElementById("humidity_bar");
     if (bar) bar.style.width = humidity + "%";
 
-    const wind_ms = current.wind.speed;
-    const wind_kmh = (wind_ms * 3.6).toFixed(1);
-    document.getElementById(
-      "wind_value"
-    ).innerHTML = `${wind_ms} m/s (${wind_kmh} km/h)`;
+    document.getElementById("wind_value").innerHTML = formatWind(
+      current.wind_speed
+    );
 
-    let precip = 0;
-    if (current.rain && current.rain["1h"]) precip = current.rain["1h"];
-    if (current.snow && current.snow["1h"]) precip = current.snow["1h"];
-    document.getElementById("precip_value").innerHTML = `${precip} mm`;
+    document.getElementById("precip_value").innerHTML = formatPrecip(
+      current.precip
+    );
 
-    // Fetch UV index from One Call (3.0 -> 2.5 fallback); show numeric with category
-    try {
-      let uvi = null;
-      // try 3.0
-      const r30 = await fetch(
-        `https://api.openweathermap.org/data/3.0/onecall?lat=${lat}&lon=${lon}&exclude=minutely,hourly,daily,alerts&appid=${apiKey}`
-      );
-      if (r30.ok) {
-        const j30 = await r30.json();
-        uvi = j30?.current?.uvi ?? null;
-      } else {
-        const r25 = await fetch(
-          `https://api.openweathermap.org/data/2.5/onecall?lat=${lat}&lon=${lon}&exclude=minutely,hourly,daily,alerts&appid=${apiKey}`
-        );
-        if (r25.ok) {
-          const j25 = await r25.json();
-          uvi = j25?.current?.uvi ?? null;
-        }
-      }
-      if (uvi !== null && uvi !== undefined) {
-        document.getElementById("uv_index").innerHTML = formatUvi(uvi);
-      } else {
-        document.getElementById("uv_index").innerHTML = "–";
-      }
-    } catch {
-      document.getElementById("uv_index").innerHTML = "–";
-    }
+    // UV index comes with the current conditions (null when the provider has none)
+    document.getElementById("uv_index").innerHTML = formatUvi(current.uvi);
 
-    const bars = document.querySelectorAll(".comfort_bar");
-    bars.forEach((b, i) => {
-      b.style.background = i < 2 ? "#4caf50" : "#ddd";
-    });
+    // air quality has its own source (Open-Meteo): filled when it arrives
+    showAirQuality(lat, lon);
+
+    // thermal comfort (heat index / wind chill / apparent temperature)
+    const comfort = comfortIndex(current);
+    paintComfortBars(document.querySelectorAll(".comfort_bar"), comfort);
+    const comfortBox = document.getElementById("comfort_bars");
+    if (comfortBox) comfortBox.title = comfortTooltip(comfort, current);
+    const comfortText = document.getElementById("comfort_label");
+    if (comfortText) comfortText.textContent = comfortLabel(comfort);
   } catch (err) {
     console.error("updateInfo error:", err);
   }
@@ -294,62 +310,66 @@ function updateBackground(descriptions) {
   else info.classList.add("weather-sunny");
 }
 
-// ---- UVI helpers ----
-function uviCategory(uvi) {
-  if (uvi < 3) return "Low";
-  if (uvi < 6) return "Moderate";
-  if (uvi < 8) return "High";
-  if (uvi < 11) return "Very High";
-  return "Extreme";
-}
-function formatUvi(uvi) {
-  const n = Math.round(uvi);
-  return `${n} (${uviCategory(n)})`;
-}
-
 // ---------- Future Weather UI ----------
 async function renderFutureWeather(lat, lon) {
   const container = document.getElementById("futureWeather");
   const list = document.getElementById("futureWeatherList");
   if (!container || !list) return;
-  list.innerHTML = "Loading...";
+  list.innerHTML = t("common.loading");
   try {
-    const daily = await getForecast10Days(lat, lon, 6);
+    const [daily, tz] = await Promise.all([
+      getForecast10Days(lat, lon, 6),
+      getTimezoneOffset(lat, lon),
+    ]);
     const items = daily.map((d) => {
-      const date = new Date((d.dt || 0) * 1000);
-      const day = date.toLocaleDateString(undefined, {
-        weekday: "short",
-        day: "2-digit",
-        month: "2-digit",
-      });
-      const min = Math.round(d.temp?.min ?? 0);
-      const max = Math.round(d.temp?.max ?? 0);
-      const icon = (d.weather && d.weather[0]?.icon) || "01d";
-      const desc = (d.weather && d.weather[0]?.description) || "";
-      const wind =
-        d.wind_speed !== undefined
-          ? `${Math.round(d.wind_speed * 3.6)} km/h`
-          : "";
+      const day = formatDay(d.dt || 0, tz);
+      const min = formatTemp(d.temp?.min ?? 0);
+      const max = formatTemp(d.temp?.max ?? 0);
+      const icon = d.icon || "01d";
+      const desc = translateDescription(d.description || "");
+      const wind = d.wind_speed !== undefined ? formatWind(d.wind_speed) : "";
       const humidity = d.humidity !== undefined ? `${d.humidity}%` : null;
       const uvi = d.uvi !== undefined ? formatUvi(d.uvi) : null;
-      const rain = (d.rain && (d.rain["1h"] || d.rain)) || 0;
+      const rain = formatPrecip(d.rain || 0);
+      // daytime comfort: the day's max temperature with its humidity/wind
+      const dayWeather = {
+        temp: d.temp?.max ?? 0,
+        humidity: d.humidity,
+        wind_speed: d.wind_speed,
+      };
+      const comfort = comfortIndex(dayWeather);
+      const comfortBars = [1, 2, 3, 4, 5]
+        .map(
+          (i) =>
+            `<i style="background:${
+              i <= comfort.level ? COMFORT_COLORS[comfort.level] : "#ddd"
+            }"></i>`
+        )
+        .join("");
       return `
         <div class="future-card">
           <div class="day">${day}</div>
           <div class="fc-header">
             <img alt="" src="http://openweathermap.org/img/wn/${icon}.png" />
             <div class="fc-temps">
-              <div class="max">${max}°C</div>
-              <div class="min">${min}°C</div>
+              <div class="max">${max}</div>
+              <div class="min">${min}</div>
             </div>
           </div>
           <div class="spacer"></div>
           <div class="desc">${desc}</div>
+          <div class="fc-comfort" title="${comfortTooltip(
+            comfort,
+            dayWeather
+          )}">
+            <span class="comfort-mini">${comfortBars}</span>
+            ${t("comfort.future", { label: comfortLabel(comfort) })}
+          </div>
           <div class="future-meta">${[
-            humidity ? `Humidity ${humidity}` : null,
-            uvi ? `UV ${uvi}` : null,
-            `Rain ${rain || 0} mm`,
-            wind ? `Wind ${wind}` : null,
+            humidity ? t("future.humidity", { value: humidity }) : null,
+            uvi ? t("future.uv", { value: uvi }) : null,
+            t("future.rain", { value: rain }),
+            wind ? t("future.wind", { value: wind }) : null,
           ]
             .filter(Boolean)
             .join(" · ")}</div>
@@ -359,56 +379,120 @@ async function renderFutureWeather(lat, lon) {
     container.hidden = false;
   } catch (e) {
     console.error("renderFutureWeather error", e);
-    list.innerHTML =
-      "Không thể tải dữ liệu dự báo 10 ngày (kiểm tra API key/gói truy cập).";
+    list.innerHTML = t("future.error");
     container.hidden = false;
   }
 }
 
-// Hook up the Future Weather button: uses last-known lat/lon from marker or map center
-document.addEventListener("DOMContentLoaded", () => {
-  const btn = document.querySelector('[data-target="ten-days"]');
+// Last-known lat/lon from marker, else map center, else default (HCMC)
+function selectedLatLon() {
+  const src = window._lastLatLon ||
+    (window._map && window._map.getCenter()) || { lat: 10.8, lon: 106.7 };
+  const lat = src.lat !== undefined ? src.lat : src.latlng?.lat;
+  const lon = src.lon !== undefined ? src.lon : src.lng ?? src.latlng?.lng;
+  return { lat, lon };
+}
+
+// weather-controls data-target → [section id, renderer]
+const PANELS = {
+  "ten-days": ["futureWeather", renderFutureWeather],
+  hourly: ["hourlyWeather", renderHourly],
+  planning: ["planningWeather", renderPlanning],
+  self: ["selfForecast", renderSelfForecast],
+  compare: ["compareWeather", renderCompare],
+  history: ["historyWeather", renderHistory],
+  air: ["airQuality", renderAirQuality],
+  watches: ["watchesPanel", renderWatches],
+};
+
+/**
+ * Show one panel (by data-target) for the selected location.
+ * Also used to restore the panel from the URL.
+ */
+export async function openPanel(target) {
+  const panel = PANELS[target];
+  if (!panel) return;
+  const [sectionId, render] = panel;
+  try {
+    const { lat, lon } = selectedLatLon();
+    hideAllPanels();
+    await render(lat, lon);
+    const section = document.getElementById(sectionId);
+    if (section) section.scrollIntoView({ behavior: "smooth", block: "start" });
+  } catch (e) {
+    console.error(e);
+  }
+}
+
+// Hook up a weather-controls button to its panel
+function bindPanelButton(target) {
+  const btn = document.querySelector(`[data-target="${target}"]`);
   if (!btn) return;
-  btn.addEventListener("click", async () => {
-    try {
-      const src = window._lastLatLon ||
-        (window._map && window._map.getCenter()) || { lat: 10.8, lon: 106.7 };
-      const lat = src.lat !== undefined ? src.lat : src.latlng?.lat;
-      const lon = src.lon !== undefined ? src.lon : src.lng ?? src.latlng?.lng;
-      hideAllPanels();
-      await renderFutureWeather(lat, lon);
-      const target = document.getElementById("futureWeather");
-      if (target) target.scrollIntoView({ behavior: "smooth", block: "start" });
-    } catch (e) {
-      console.error(e);
-    }
+  btn.addEventListener("click", () => {
+    updateState({ panel: target }, { push: true });
+    openPanel(target);
   });
-  const hourlyBtn = document.querySelector('[data-target="hourly"]');
-  if (hourlyBtn) {
-    hourlyBtn.addEventListener("click", async () => {
-      try {
-        const src = window._lastLatLon ||
-          (window._map && window._map.getCenter()) || { lat: 10.8, lon: 106.7 };
-        const lat = src.lat !== undefined ? src.lat : src.latlng?.lat;
-        const lon =
-          src.lon !== undefined ? src.lon : src.lng ?? src.latlng?.lng;
-        hideAllPanels();
-        await renderHourly(lat, lon);
-        const target = document.getElementById("hourlyWeather");
-        if (target)
-          target.scrollIntoView({ behavior: "smooth", block: "start" });
-      } catch (e) {
-        console.error(e);
-      }
-    });
-  }
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  applyI18n();
+  Object.keys(PANELS).forEach(bindPanelButton);
+  bindProviderSelect();
+  bindSettingsPanel();
+  bindExportMenu();
+  bindWatches();
+});
+
+// Weather provider dropdown in the header
+function bindProviderSelect() {
+  const select = document.getElementById("providerSelect");
+  if (!select) return;
+  select.innerHTML = listProviders()
+    .map((p) => `<option value="${p.id}">${p.label}</option>`)
+    .join("");
+  select.value = getProviderId();
+  select.addEventListener("change", () => setProvider(select.value));
+}
+
+// Reload the current location with the newly selected provider
+window.addEventListener("providerchange", () => {
+  hideAllPanels();
+  updateState({ panel: null });
+  if (lastInfoArgs) updateInfo(...lastInfoArgs);
+});
+
+// back online: refresh what the offline cache was showing
+window.addEventListener("online", () => {
+  if (lastInfoArgs) updateInfo(...lastInfoArgs);
 });
 
-function hideAllPanels() {
+// Units/clock/language changed: re-render the static text, the info panel and
+// the open panel (if any)
+window.addEventListener("settingschange", () => {
+  applyI18n();
+  if (lastInfoArgs) updateInfo(...lastInfoArgs);
+  const { panel } = readState();
+  const section = PANELS[panel] && document.getElementById(PANELS[panel][0]);
+  if (section && !section.hidden) openPanel(panel);
+});
+
+export function hideAllPanels() {
   const future = document.getElementById("futureWeather");
   const hourly = document.getElementById("hourlyWeather");
+  const planning = document.getElementById("planningWeather");
+  const self = document.getElementById("selfForecast");
+  const compare = document.getElementById("compareWeather");
+  const history = document.getElementById("historyWeather");
+  const air = document.getElementById("airQuality");
+  const watches = document.getElementById("watchesPanel");
   if (future) future.hidden = true;
   if (hourly) hourly.hidden = true;
+  if (planning) planning.hidden = true;
+  if (self) self.hidden = true;
+  if (compare) compare.hidden = true;
+  if (history) history.hidden = true;
+  if (air) air.hidden = true;
+  if (watches) watches.hidden = true;
 }
 
 // ---------- Hourly Chart ----------
@@ -417,61 +501,19 @@ async function renderHourly(lat, lon) {
   const list = document.getElementById("hourlyList");
   if (!section || !list) return;
   section.hidden = false;
-  list.innerHTML = "Loading...";
+  list.innerHTML = t("common.loading");
 
   let hours = [];
+  let tz = null;
   try {
-    hours = await getHourly24(lat, lon);
+    [hours, tz] = await Promise.all([
+      getHourly48(lat, lon),
+      getTimezoneOffset(lat, lon),
+    ]);
   } catch (e) {
-    console.error("getHourly24 error", e);
-    list.innerHTML = "Không thể tải dữ liệu hourly.";
+    console.error("getHourly48 error", e);
+    list.innerHTML = t("hourly.error");
     return;
   }
-  if (!hours.length) {
-    list.innerHTML = "No hourly data available.";
-    return;
-  }
-
-  // pick 8 items, each 3h apart; allow crossing to next day
-  const startIdx = hours.findIndex(
-    (h) => new Date(h.dt * 1000).getHours() % 3 === 0
-  );
-  const first = startIdx >= 0 ? startIdx : 0;
-  const picks = [];
-  for (let k = 0; k < 8; k++) {
-    const idx = first + k * 3;
-    if (idx < hours.length) picks.push(hours[idx]);
-  }
-  if (picks.length === 0) picks.push(hours[0]);
-  const html = picks
-    .map((h) => {
-      const dtObj = new Date(h.dt * 1000);
-      const hr = dtObj.toLocaleTimeString([], {
-        hour: "2-digit",
-        minute: "2-digit",
-      });
-      const dayStr = dtObj.toLocaleDateString([], {
-        weekday: "short",
-        day: "2-digit",
-        month: "2-digit",
-      });
-      const temp = Math.round(h.temp);
-      const icon = h.icon || "01d";
-      const wind =
-        h.wind_speed !== undefined
-          ? `${Math.round(h.wind_speed * 3.6)} km/h`
-          : "";
-      const rain = h.rain?.["1h"] ?? h.rain ?? 0;
-      const rainText = rain ? `${rain} mm` : "0 mm";
-      return `
-      <div class="hour-card">
-        <div class="time">${hr}</div>
-        <div class="date">${dayStr}</div>
-        <img alt="" src="http://openweathermap.org/img/wn/${icon}@2x.png"/>
-        <div class="temp">${temp}°C</div>
-        <div class="meta">Rain: ${rainText} · ${wind}</div>
-      </div>`;
-    })
-    .join("");
-  list.innerHTML = html;
+  renderHourlyChart(list, hours, { tz });
 }
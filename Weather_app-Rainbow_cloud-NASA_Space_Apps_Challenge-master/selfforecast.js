@@ -0,0 +1,345 @@
+// selfforecast.js (ES module)
+// "Self forecasting": in-browser statistical temperature model, compared
+// against the active weather provider
+// (persistence of the current anomaly, decaying towards a Köppen/elevation
+// climatology, with a linear trend fitted on recent local observations)
+import {
+  getForecast10Days,
+  getHourly24,
+  getTimezoneOffset,
+} from "./options.js";
+import { getClimate, getElevation, getCurrentWeather } from "./script.js";
+import { renderLineChart } from "./chart.js";
+import { getProvider } from "./providers/index.js";
+import { t } from "./i18n.js";
+import {
+  convert,
+  formatElevation,
+  formatTempDiff,
+  formatTime,
+  formatDate,
+} from "./format.js";
+
+/**
+ * Rough climatology per Köppen main group (°C):
+ * mean annual temperature, seasonal half-amplitude, mean diurnal range.
+ * This is only the prior the anomaly decays to; the observation does the rest.
+ */
+const GROUP_CLIMATE = {
+  A: { mean: 26, seasonal: 2, diurnal: 8 },
+  B: { mean: 20, seasonal: 10, diurnal: 14 },
+  C: { mean: 15, seasonal: 8, diurnal: 9 },
+  D: { mean: 4, seasonal: 16, diurnal: 10 },
+  E: { mean: -12, seasonal: 12, diurnal: 5 },
+};
+
+const LAPSE_RATE = 0.0065; // °C per metre
+const ANOMALY_DECAY_H = 48; // e-folding time of the current anomaly
+const TREND_HOURS = 3; // how long a fitted trend is carried forward
+const OBS_WINDOW_H = 12; // observations used for the trend fit
+const OBS_KEEP = 48;
+
+/**
+ * Köppen main group (A-E) from a class code such as "Cfa",
+ * falling back to a latitude band when the class is unknown.
+ */
+export function koppenGroup(code, lat) {
+  if (code && GROUP_CLIMATE[code[0]]) return code[0];
+  const a = Math.abs(lat);
+  if (a < 23) return "A";
+  if (a < 40) return "C";
+  if (a < 65) return "D";
+  return "E";
+}
+
+/**
+ * Climatological temperature (°C) at unix time dt for a point.
+ */
+export function climatology(dt, lat, lon, group, elevation = 0) {
+  const p = GROUP_CLIMATE[group] || GROUP_CLIMATE.C;
+  const date = new Date(dt * 1000);
+  const start = Date.UTC(date.getUTCFullYear(), 0, 1);
+  const doy = (date.getTime() - start) / 86400000;
+  // warmest around day 200 in the north, day 18 in the south
+  const peak = lat >= 0 ? 200 : 18;
+  const seasonal = p.seasonal * Math.cos((2 * Math.PI * (doy - peak)) / 365.25);
+  // local solar hour, warmest around 15:00
+  const solarHour =
+    (date.getUTCHours() + date.getUTCMinutes() / 60 + lon / 15 + 48) % 24;
+  const diurnal =
+    (p.diurnal / 2) * Math.cos((2 * Math.PI * (solarHour - 15)) / 24);
+  const lapse = -LAPSE_RATE * Math.max(0, Number(elevation) || 0);
+  return p.mean + seasonal + diurnal + lapse;
+}
+
+// Least-squares fit y = a + b*x
+function linearFit(xs, ys) {
+  const n = xs.length;
+  const mx = xs.reduce((s, x) => s + x, 0) / n;
+  const my = ys.reduce((s, y) => s + y, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+  }
+  const b = sxx ? sxy / sxx : 0;
+  return { a: my - b * mx, b };
+}
+
+// Local solar day index, used to group hours into days
+function solarDay(dt, lon) {
+  return Math.floor((dt + (lon / 15) * 3600) / 86400);
+}
+
+/**
+ * Run the model.
+ * observations: [{ dt, temp }] (°C), the last one being the current observation.
+ * Returns { hourly: [{ dt, temp }], daily: [{ dt, temp: { min, max } }], meta }
+ */
+export function selfForecast({
+  lat,
+  lon,
+  climateCode,
+  elevation,
+  observations,
+  hours = 240,
+}) {
+  const group = koppenGroup(climateCode, lat);
+  const clim = (dt) => climatology(dt, lat, lon, group, elevation);
+
+  const obs = observations.slice().sort((a, b) => a.dt - b.dt);
+  const last = obs[obs.length - 1];
+  const t0 = last.dt;
+  const recent = obs.filter((o) => t0 - o.dt <= OBS_WINDOW_H * 3600);
+
+  let anomaly = last.temp - clim(t0);
+  let trend = 0;
+  if (recent.length >= 3) {
+    const fit = linearFit(
+      recent.map((o) => (o.dt - t0) / 3600),
+      recent.map((o) => o.temp - clim(o.dt))
+    );
+    anomaly = fit.a;
+    trend = Math.max(-0.5, Math.min(0.5, fit.b)); // °C/h, clamped
+  }
+
+  const hourly = [];
+  const startHour = Math.ceil(t0 / 3600) * 3600;
+  for (let k = 0; k < hours; k++) {
+    const dt = startHour + k * 3600;
+    const dh = (dt - t0) / 3600;
+    const a =
+      (anomaly + trend * Math.min(dh, TREND_HOURS)) *
+      Math.exp(-dh / ANOMALY_DECAY_H);
+    hourly.push({ dt, temp: Math.round((clim(dt) + a) * 10) / 10 });
+  }
+
+  const byDay = new Map();
+  for (const h of hourly) {
+    const key = solarDay(h.dt, lon);
+    // stamp days at local solar noon, like the One Call daily entries
+    const noon = key * 86400 + 43200 - Math.round((lon / 15) * 3600);
+    const rec = byDay.get(key) || { dt: noon, temps: [] };
+    rec.temps.push(h.temp);
+    byDay.set(key, rec);
+  }
+  const daily = Array.from(byDay.values())
+    .filter((d) => d.temps.length >= 12) // skip partial days
+    .map((d) => ({
+      dt: d.dt,
+      temp: { min: Math.min(...d.temps), max: Math.max(...d.temps) },
+    }));
+
+  return {
+    hourly,
+    daily,
+    meta: {
+      group,
+      groupLabel: t(`koppenGroup.${group}`),
+      climateCode: climateCode || null,
+      anomaly: Math.round(anomaly * 10) / 10,
+      trend: Math.round(trend * 100) / 100,
+      observations: recent.length,
+    },
+  };
+}
+
+// ---- local observation log (localStorage, per rounded point) ----
+function obsKey(lat, lon) {
+  return `selfObs:${lat.toFixed(2)},${lon.toFixed(2)}`;
+}
+
+function recordObservation(lat, lon, ob) {
+  let list = [];
+  try {
+    list = JSON.parse(localStorage.getItem(obsKey(lat, lon))) || [];
+  } catch (_) {}
+  if (!list.some((o) => o.dt === ob.dt)) list.push(ob);
+  list = list
+    .filter((o) => ob.dt - o.dt <= 48 * 3600)
+    .sort((a, b) => a.dt - b.dt)
+    .slice(-OBS_KEEP);
+  try {
+    localStorage.setItem(obsKey(lat, lon), JSON.stringify(list));
+  } catch (_) {}
+  return list;
+}
+
+// Mean absolute error and bias of model vs provider, matched by timestamp
+function compare(pairs) {
+  if (!pairs.length) return null;
+  const diffs = pairs.map(([m, p]) => m - p);
+  const mae = diffs.reduce((s, d) => s + Math.abs(d), 0) / diffs.length;
+  const bias = diffs.reduce((s, d) => s + d, 0) / diffs.length;
+  return { mae, bias, n: pairs.length };
+}
+
+const tempPoint = (x, c) => ({ x, y: convert("temp", c) });
+
+/**
+ * Render the Self forecasting panel for a location.
+ */
+export async function renderSelfForecast(lat, lon) {
+  const section = document.getElementById("selfForecast");
+  const summary = document.getElementById("selfForecastSummary");
+  const hourlyBox = document.getElementById("selfForecastHourly");
+  const dailyBox = document.getElementById("selfForecastDaily");
+  if (!section || !summary || !hourlyBox || !dailyBox) return;
+  section.hidden = false;
+  summary.innerHTML = t("common.loading");
+  hourlyBox.innerHTML = "";
+  dailyBox.innerHTML = "";
+
+  let current;
+  try {
+    current = await getCurrentWeather(lat, lon);
+  } catch (e) {
+    console.error("renderSelfForecast error", e);
+    summary.innerHTML = t("self.error");
+    return;
+  }
+
+  const climate = getClimate(lat, lon, window._georaster?.());
+  const elevation = await getElevation(lat, lon);
+  const observations = recordObservation(lat, lon, {
+    dt: current.dt,
+    temp: current.temp,
+  });
+  const model = selfForecast({
+    lat,
+    lon,
+    climateCode: climate.climateCode,
+    elevation,
+    observations,
+  });
+
+  // provider forecast is optional: the model still renders without it
+  const [hours, days, tz] = await Promise.all([
+    getHourly24(lat, lon).catch(() => []),
+    getForecast10Days(lat, lon, 10).catch(() => []),
+    getTimezoneOffset(lat, lon),
+  ]);
+  const hourLabel = (dt) => formatTime(dt, tz);
+  const dayLabel = (dt) =>
+    formatDate(dt, { day: "2-digit", month: "2-digit" }, tz);
+
+  const modelByHour = new Map(model.hourly.map((h) => [h.dt, h.temp]));
+  const hourlyStats = compare(
+    hours
+      .filter((h) => modelByHour.has(h.dt))
+      .map((h) => [modelByHour.get(h.dt), h.temp])
+  );
+  const modelByDay = new Map(model.daily.map((d) => [solarDay(d.dt, lon), d]));
+  const dayPairs = days.filter((d) => modelByDay.has(solarDay(d.dt, lon)));
+  const dailyStats = compare(
+    dayPairs.flatMap((d) => {
+      const m = modelByDay.get(solarDay(d.dt, lon));
+      return [
+        [m.temp.max, d.temp.max],
+        [m.temp.min, d.temp.min],
+      ];
+    })
+  );
+
+  const m = model.meta;
+  const providerName = getProvider().label;
+  const b = (v) => `<b>${v}</b>`;
+  const stats = (st) => ({
+    provider: providerName,
+    mae: formatTempDiff(st.mae, 1, false),
+    bias: formatTempDiff(st.bias),
+    n: st.n,
+  });
+  summary.innerHTML = `
+    <div>${t("self.climate", {
+      value: b(`${m.climateCode || m.group} (${m.groupLabel})`),
+      elevation: b(formatElevation(elevation)),
+    })}</div>
+    <div>${t("self.anomaly", {
+      anomaly: b(formatTempDiff(m.anomaly)),
+      trend: b(`${formatTempDiff(m.trend, 2)}/h`),
+      n: m.observations,
+    })}</div>
+    <div>${
+      hourlyStats
+        ? t("self.hourlyStats", stats(hourlyStats))
+        : t("self.hourlyMissing", { provider: providerName })
+    }</div>
+    <div>${
+      dailyStats
+        ? t("self.dailyStats", stats(dailyStats))
+        : t("self.dailyMissing", { provider: providerName })
+    }</div>`;
+
+  const horizon = hours.length ? hours[hours.length - 1].dt : 0;
+  renderLineChart(
+    hourlyBox,
+    [
+      {
+        name: t("self.series"),
+        color: "#6f4fe6",
+        points: model.hourly
+          .filter((h) => !horizon || h.dt <= horizon)
+          .slice(0, 48)
+          .map((h) => tempPoint(h.dt, h.temp)),
+      },
+      {
+        name: providerName,
+        color: "#1e7fe6",
+        points: hours.map((h) => tempPoint(h.dt, h.temp)),
+      },
+    ],
+    { xFormat: hourLabel, yUnit: "°" }
+  );
+
+  const modelDays = model.daily.slice(0, 10);
+  renderLineChart(
+    dailyBox,
+    [
+      {
+        name: t("self.max"),
+        color: "#6f4fe6",
+        points: modelDays.map((d) => tempPoint(d.dt, d.temp.max)),
+      },
+      {
+        name: t("self.min"),
+        color: "#6f4fe6",
+        dashed: true,
+        points: modelDays.map((d) => tempPoint(d.dt, d.temp.min)),
+      },
+      {
+        name: t("series.max", { name: providerName }),
+        color: "#e6751e",
+        points: days.map((d) => tempPoint(d.dt, d.temp.max)),
+      },
+      {
+        name: t("series.min", { name: providerName }),
+        color: "#e6751e",
+        dashed: true,
+        points: days.map((d) => tempPoint(d.dt, d.temp.min)),
+      },
+    ],
+    { xFormat: dayLabel, yUnit: "°" }
+  );
+}
@@ -0,0 +1,498 @@
+// server/server.mjs (Node ≥ 18, no dependencies)
+// Local static server + OpenWeather proxy: the API key stays on this machine.
+// The browser calls same-origin routes and gets a generated /config.js that
+// points the app at them:
+//   /api/owm/<path>?...                 → https://api.openweathermap.org/<path>
+//   /api/owm-tiles/<layer>/<z>/<x>/<y>.png → https://tile.openweathermap.org/map/...
+// Responses are cached in memory and every client is rate limited.
+//
+//   OPENWEATHER_API_KEY=... node server/server.mjs     serve on :8000
+//   node server/server.mjs --record   also save the upstream answers
+//   node server/server.mjs --mock     replay saved answers, no key / network
+//
+// Without OPENWEATHER_API_KEY the key is read from the project's config.js
+// (git-ignored, see config.example.js); it is never served to the browser.
+// Mock mode answers routes without a recording from data/fixtures/weather.json.
+// Env: PORT (8000), HOST (127.0.0.1), RATE_LIMIT (API requests per minute and
+// client, 60), TILE_RATE_LIMIT (600), MOCK=1, RECORD=1.
+import http from "node:http";
+import { createReadStream } from "node:fs";
+import { mkdir, readFile, readdir, stat, writeFile } from "node:fs/promises";
+import { createHash } from "node:crypto";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+const SERVER_DIR = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.resolve(SERVER_DIR, "..");
+const RECORDINGS = path.join(SERVER_DIR, "recordings");
+const FIXTURE = path.join(ROOT, "data", "fixtures", "weather.json");
+const USER_CONFIG = path.join(ROOT, "config.js");
+
+const args = new Set(process.argv.slice(2));
+const PORT = Number(process.env.PORT) || 8000;
+const HOST = process.env.HOST || "127.0.0.1";
+const MOCK = args.has("--mock") || process.env.MOCK === "1";
+const RECORD = !MOCK && (args.has("--record") || process.env.RECORD === "1");
+
+const API_UPSTREAM = "https://api.openweathermap.org";
+const TILE_UPSTREAM = "https://tile.openweathermap.org/map";
+const UPSTREAM_TIMEOUT_MS = 10000;
+
+// only what the app calls (providers/openweather.js)
+const API_PATHS = new Set([
+  "data/3.0/onecall",
+  "data/2.5/onecall",
+  "data/2.5/forecast",
+  "data/2.5/weather",
+  "geo/1.0/direct",
+  "geo/1.0/reverse",
+]);
+const TILE_PATH = /^[a-z_]+\/\d{1,2}\/\d+\/\d+\.png$/;
+
+const MINUTE = 60 * 1000;
+const TTL = { api: 10 * MINUTE, geo: 24 * 60 * MINUTE, tile: 10 * MINUTE };
+const LIMITS = {
+  api: Number(process.env.RATE_LIMIT) || 60,
+  tile: Number(process.env.TILE_RATE_LIMIT) || 600,
+};
+const MAX_CACHE_ENTRIES = 2000;
+
+const MIME = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".mjs": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".webmanifest": "application/manifest+json",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".svg": "image/svg+xml",
+  ".ico": "image/x-icon",
+  ".tif": "image/tiff",
+  ".tiff": "image/tiff",
+};
+
+// ---------- Settings from the project's config.js ----------
+// config.js may hold the key and other settings (provider, tile URLs); it is
+// never served as is. A failing import (missing file) leaves the defaults.
+async function loadUserConfig() {
+  try {
+    return { ...(await import(pathToFileURL(USER_CONFIG))) };
+  } catch (_) {
+    return {};
+  }
+}
+
+const userConfig = await loadUserConfig();
+const API_KEY = process.env.OPENWEATHER_API_KEY || userConfig.apiKey || "";
+const PROXY_ON = Boolean(API_KEY) || MOCK;
+
+// /config.js for the browser: the user's settings without the key, and the
+// OpenWeather URLs pointing at this server
+function browserConfig() {
+  const config = { ...userConfig };
+  delete config.apiKey;
+  if (PROXY_ON) {
+    config.apiBase = "/api/owm";
+    if (!config.weatherTileUrl || config.weatherTileUrl.includes("{apiKey}"))
+      config.weatherTileUrl = "/api/owm-tiles/{layer}/{z}/{x}/{y}.png";
+  }
+  const lines = Object.entries(config).map(
+    ([name, value]) => `export const ${name} = ${JSON.stringify(value)};`
+  );
+  return `// config.js – generated by server/server.mjs (the API key stays on the server)\n${lines.join(
+    "\n"
+  )}\n`;
+}
+
+// ---------- Rate limiting (fixed one-minute window per client + kind) ----------
+const windows = new Map(); // "ip|kind" → { start, count }
+
+function rateLimited(ip, kind) {
+  const now = Date.now();
+  const id = `${ip}|${kind}`;
+  let w = windows.get(id);
+  if (!w || now - w.start >= MINUTE) {
+    w = { start: now, count: 0 };
+    windows.set(id, w);
+  }
+  w.count += 1;
+  if (w.count <= LIMITS[kind]) return 0;
+  return Math.ceil((w.start + MINUTE - now) / 1000); // Retry-After seconds
+}
+
+// forget finished windows now and then
+setInterval(() => {
+  const now = Date.now();
+  for (const [id, w] of windows)
+    if (now - w.start >= MINUTE) windows.delete(id);
+}, MINUTE).unref();
+
+// ---------- Response cache ----------
+const cache = new Map(); // upstream URL without key → { expires, status, type, body }
+
+function cacheGet(key) {
+  const hit = cache.get(key);
+  if (!hit) return null;
+  if (Date.now() > hit.expires) {
+    cache.delete(key);
+    return null;
+  }
+  // Map order = age: move the hit to the end
+  cache.delete(key);
+  cache.set(key, hit);
+  return hit;
+}
+
+function cachePut(key, entry, ttl) {
+  cache.set(key, { ...entry, expires: Date.now() + ttl });
+  while (cache.size > MAX_CACHE_ENTRIES)
+    cache.delete(cache.keys().next().value);
+}
+
+// ---------- Recordings (mock mode) ----------
+// one file per route + query: data/2.5/weather?lat=10.8&lon=106.7
+//   → recordings/data_2.5_weather-<hash of the sorted query>.json
+function recordingName(route, params) {
+  const query = [...params].sort(([a], [b]) => a.localeCompare(b));
+  const hash = createHash("sha1")
+    .update(new URLSearchParams(query).toString())
+    .digest("hex")
+    .slice(0, 12);
+  return `${route.replace(/[^\w.-]+/g, "_")}-${hash}.json`;
+}
+
+async function saveRecording(route, params, entry) {
+  try {
+    await mkdir(RECORDINGS, { recursive: true });
+    await writeFile(
+      path.join(RECORDINGS, recordingName(route, params)),
+      JSON.stringify({
+        route,
+        query: Object.fromEntries(params),
+        status: entry.status,
+        type: entry.type,
+        body: entry.body.toString("base64"),
+      })
+    );
+  } catch (err) {
+    console.error("Recording failed:", err.message);
+  }
+}
+
+// the exact recording, or any recording of the same route (another place)
+async function replay(route, params) {
+  const exact = recordingName(route, params);
+  const prefix = `${exact.slice(0, exact.lastIndexOf("-"))}-`;
+  let file = exact;
+  let files = [];
+  try {
+    files = await readdir(RECORDINGS);
+  } catch (_) {}
+  if (!files.includes(exact))
+    file = files.sort().find((f) => f.startsWith(prefix));
+  if (!file) return null;
+  const saved = JSON.parse(await readFile(path.join(RECORDINGS, file), "utf8"));
+  return {
+    status: saved.status,
+    type: saved.type,
+    body: Buffer.from(saved.body, "base64"),
+    exact: file === exact,
+  };
+}
+
+// ---------- Fixture (mock mode without recordings) ----------
+// data/fixtures/weather.json is in the app's normalized schema: turn it back
+// into the OpenWeather answers providers/openweather.js reads. Like
+// providers/fixture.js, times are shifted so the recording starts now.
+let fixturePromise = null;
+
+function loadFixture() {
+  fixturePromise ??= readFile(FIXTURE, "utf8").then(JSON.parse);
+  return fixturePromise;
+}
+
+const owmWeather = (x) => [{ icon: x.icon, description: x.description }];
+
+function owmHour(h, shift) {
+  return {
+    dt: h.dt + shift,
+    temp: h.temp,
+    feels_like: h.feels_like,
+    humidity: h.humidity,
+    wind_speed: h.wind_speed,
+    wind_deg: h.wind_deg,
+    wind_gust: h.wind_gust,
+    pop: h.pop,
+    uvi: h.uvi,
+    rain: { "1h": h.rain ?? 0 },
+    weather: owmWeather(h),
+  };
+}
+
+function owmDay(d, shift) {
+  return {
+    dt: d.dt + shift,
+    temp: d.temp,
+    humidity: d.humidity,
+    wind_speed: d.wind_speed,
+    wind_deg: d.wind_deg,
+    pop: d.pop,
+    uvi: d.uvi,
+    rain: d.rain,
+    weather: owmWeather(d),
+  };
+}
+
+async function fixtureAnswer(route, params) {
+  const f = await loadFixture();
+  const nowHour = Math.floor(Date.now() / 3600000) * 3600;
+  const hour = nowHour - Math.floor(f.recorded_at / 3600) * 3600;
+  const day = Math.floor(hour / 86400) * 86400;
+  const lat = Number(params.get("lat"));
+  const lon = Number(params.get("lon"));
+  const c = f.current;
+  switch (route) {
+    case "data/3.0/onecall":
+    case "data/2.5/onecall":
+      return {
+        lat,
+        lon,
+        timezone_offset: f.timezone_offset,
+        current: {
+          ...owmHour({ ...c, rain: c.precip }, hour),
+          dt: c.dt + hour,
+        },
+        hourly: f.hourly.map((h) => owmHour(h, hour)),
+        daily: f.daily.map((d) => owmDay(d, day)),
+        alerts: f.alerts.map((a) => ({
+          sender_name: a.sender,
+          event: a.event,
+          start: a.start + hour,
+          end: a.end + hour,
+          description: a.description,
+          tags: a.tags,
+        })),
+      };
+    case "data/2.5/weather":
+      return {
+        coord: { lat, lon },
+        dt: c.dt + hour,
+        timezone: f.timezone_offset,
+        main: {
+          temp: c.temp,
+          feels_like: c.feels_like,
+          temp_min: c.temp_min,
+          temp_max: c.temp_max,
+          humidity: c.humidity,
+        },
+        wind: { speed: c.wind_speed, deg: c.wind_deg },
+        rain: { "1h": c.precip },
+        weather: owmWeather(c),
+      };
+    case "geo/1.0/direct": {
+      const q = (params.get("q") || "").toLowerCase();
+      return f.places
+        .filter((p) => p.name.toLowerCase().includes(q))
+        .slice(0, Number(params.get("limit")) || 5);
+    }
+    case "geo/1.0/reverse": {
+      const dist = (p) => (p.lat - lat) ** 2 + (p.lon - lon) ** 2;
+      return f.places
+        .slice()
+        .sort((a, b) => dist(a) - dist(b))
+        .slice(0, 1);
+    }
+    default:
+      return null; // the 3h forecast and the map tiles are not in the fixture
+  }
+}
+
+// ---------- Proxy ----------
+function send(res, status, type, body, headers = {}) {
+  res.writeHead(status, {
+    "Content-Type": type,
+    "Cache-Control": "no-store",
+    ...headers,
+  });
+  res.end(body);
+}
+
+function sendJson(res, status, data, headers) {
+  send(res, status, MIME[".json"], JSON.stringify(data), headers);
+}
+
+async function proxy(req, res, kind, route, params) {
+  const retryAfter = rateLimited(req.socket.remoteAddress, kind);
+  if (retryAfter) {
+    sendJson(
+      res,
+      429,
+      { cod: 429, message: "Too many requests, slow down" },
+      { "Retry-After": String(retryAfter) }
+    );
+    return;
+  }
+
+  params.delete("appid"); // the browser's key (if any) is never forwarded
+  const upstream =
+    kind === "tile"
+      ? `${TILE_UPSTREAM}/${route}`
+      : `${API_UPSTREAM}/${route}?${params}`;
+
+  const hit = cacheGet(upstream);
+  if (hit) {
+    send(res, hit.status, hit.type, hit.body, { "X-Cache": "HIT" });
+    return;
+  }
+
+  if (MOCK) {
+    const saved = await replay(route, params);
+    const fixture =
+      !saved && kind === "api" && (await fixtureAnswer(route, params));
+    if (fixture) {
+      sendJson(res, 200, fixture, { "X-Mock": "fixture" });
+      return;
+    }
+    if (!saved) {
+      sendJson(res, 404, {
+        cod: 404,
+        message: `No recording or fixture data for ${route}; run the server with --record first`,
+      });
+      return;
+    }
+    send(res, saved.status, saved.type, saved.body, {
+      "X-Mock": saved.exact ? "exact" : "nearest",
+    });
+    return;
+  }
+  if (!API_KEY) {
+    sendJson(res, 503, {
+      cod: 503,
+      message: "No OpenWeather key on the server (set OPENWEATHER_API_KEY)",
+    });
+    return;
+  }
+
+  const url = new URL(upstream);
+  url.searchParams.set("appid", API_KEY);
+  let r;
+  try {
+    r = await fetch(url, { signal: AbortSignal.timeout(UPSTREAM_TIMEOUT_MS) });
+  } catch (err) {
+    console.error("Upstream error:", route, err.message);
+    sendJson(res, 502, { cod: 502, message: "OpenWeather is not reachable" });
+    return;
+  }
+  const entry = {
+    status: r.status,
+    type: r.headers.get("content-type") || "application/octet-stream",
+    body: Buffer.from(await r.arrayBuffer()),
+  };
+  if (r.ok) {
+    const ttl =
+      kind === "tile" ? TTL.tile : route.startsWith("geo/") ? TTL.geo : TTL.api;
+    cachePut(upstream, entry, ttl);
+  }
+  // refusals (401 for One Call 3.0 on a free key, ...) are worth replaying too
+  if (RECORD && r.status < 500) saveRecording(route, params, entry);
+  send(res, entry.status, entry.type, entry.body, { "X-Cache": "MISS" });
+}
+
+// ---------- Static files ----------
+// decoded request path → file under ROOT (null: not decodable)
+function resolvePath(pathname) {
+  let rel;
+  try {
+    rel = decodeURIComponent(pathname);
+  } catch (_) {
+    return null;
+  }
+  return path.resolve(ROOT, `.${rel.endsWith("/") ? `${rel}index.html` : rel}`);
+}
+
+// the user's config.js (holds the key) in any spelling: /%63onfig.js,
+// /./config.js, /x/../config.js, /CONFIG.JS on case-insensitive disks
+const isUserConfig = (file) =>
+  file !== null && file.toLowerCase() === USER_CONFIG.toLowerCase();
+
+async function serveStatic(req, res, file) {
+  // nothing outside the project, no dotfiles, not the server itself
+  const inside = path.relative(ROOT, file);
+  if (
+    inside.startsWith("..") ||
+    path.isAbsolute(inside) ||
+    inside.split(path.sep).some((part) => part.startsWith(".")) ||
+    inside.split(path.sep)[0] === "server" ||
+    isUserConfig(file)
+  ) {
+    send(res, 404, "text/plain", "Not found");
+    return;
+  }
+  let info;
+  try {
+    info = await stat(file);
+  } catch (_) {
+    info = null;
+  }
+  if (!info || !info.isFile()) {
+    send(res, 404, "text/plain", "Not found");
+    return;
+  }
+  res.writeHead(200, {
+    "Content-Type":
+      MIME[path.extname(file).toLowerCase()] || "application/octet-stream",
+    "Content-Length": info.size,
+    "Cache-Control": "no-cache",
+  });
+  if (req.method === "HEAD") {
+    res.end();
+    return;
+  }
+  createReadStream(file).pipe(res);
+}
+
+// ---------- Routing ----------
+const server = http.createServer(async (req, res) => {
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    send(res, 405, "text/plain", "Method not allowed", { Allow: "GET, HEAD" });
+    return;
+  }
+  const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+  const { pathname } = url;
+  const file = resolvePath(pathname);
+  try {
+    if (file === null) {
+      send(res, 400, "text/plain", "Bad request");
+    } else if (isUserConfig(file)) {
+      send(res, 200, MIME[".js"], browserConfig());
+    } else if (pathname.startsWith("/api/owm-tiles/")) {
+      const route = pathname.slice("/api/owm-tiles/".length);
+      if (!TILE_PATH.test(route)) send(res, 404, "text/plain", "Not found");
+      else await proxy(req, res, "tile", route, new URLSearchParams());
+    } else if (pathname.startsWith("/api/owm/")) {
+      const route = pathname.slice("/api/owm/".length);
+      if (!API_PATHS.has(route))
+        sendJson(res, 404, { cod: 404, message: `Unknown route ${route}` });
+      else await proxy(req, res, "api", route, url.searchParams);
+    } else {
+      await serveStatic(req, res, file);
+    }
+  } catch (err) {
+    console.error("Request failed:", req.url, err);
+    if (!res.headersSent)
+      sendJson(res, 500, { cod: 500, message: "Server error" });
+    else res.destroy();
+  }
+});
+
+server.listen(PORT, HOST, () => {
+  console.log(`Weather app on http://${HOST}:${PORT}/`);
+  if (MOCK) console.log(`Mock mode: replaying ${RECORDINGS}`);
+  else if (!API_KEY)
+    console.warn(
+      "No OpenWeather key (OPENWEATHER_API_KEY or config.js): the app falls back to Open-Meteo."
+    );
+  if (RECORD) console.log(`Recording upstream responses to ${RECORDINGS}`);
+});
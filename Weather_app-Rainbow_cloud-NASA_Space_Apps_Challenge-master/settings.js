@@ -0,0 +1,189 @@
+// settings.js (ES module)
+// User settings: unit system (metric / imperial / custom), 12h/24h clock and
+// language. Stored in localStorage; the units are also part of the URL state.
+import { readState, updateState } from "./urlstate.js";
+import { t } from "./i18n.js";
+import { unitLabelOf } from "./format.js";
+
+const STORAGE_KEY = "settings";
+
+// unit per quantity for the named systems; "custom" picks each one freely
+export const UNIT_SYSTEMS = {
+  metric: { temp: "c", wind: "kmh", precip: "mm", elevation: "m" },
+  imperial: { temp: "f", wind: "mph", precip: "in", elevation: "ft" },
+};
+export const UNIT_CHOICES = {
+  temp: ["c", "f"],
+  wind: ["ms", "kmh", "mph", "kn"],
+  precip: ["mm", "in"],
+  elevation: ["m", "ft"],
+};
+export const LANGUAGES = { en: "English", vi: "Tiếng Việt" };
+
+const DEFAULTS = {
+  system: "metric",
+  ...UNIT_SYSTEMS.metric,
+  clock: "24h",
+  lang: (navigator.language || "").toLowerCase().startsWith("vi") ? "vi" : "en",
+};
+
+// "metric" / "imperial", or the custom units as "temp,wind,precip,elevation"
+function unitsParam(s) {
+  return s.system === "custom"
+    ? [s.temp, s.wind, s.precip, s.elevation].join(",")
+    : s.system;
+}
+
+function fromUnitsParam(value) {
+  if (UNIT_SYSTEMS[value]) return { system: value, ...UNIT_SYSTEMS[value] };
+  const [temp, wind, precip, elevation] = String(value || "").split(",");
+  const custom = { temp, wind, precip, elevation };
+  const valid = Object.entries(custom).every(([k, v]) =>
+    UNIT_CHOICES[k].includes(v)
+  );
+  return valid ? { system: "custom", ...custom } : null;
+}
+
+function load() {
+  let stored = {};
+  try {
+    stored = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (_) {}
+  // a shared link's units win over the stored ones
+  const fromUrl = fromUnitsParam(readState().units);
+  return { ...DEFAULTS, ...stored, ...(fromUrl || {}) };
+}
+
+let settings = load();
+document.documentElement.lang = settings.lang;
+
+export function getSettings() {
+  return { ...settings };
+}
+
+/**
+ * Merge patch into the settings, persist them and fire "settingschange".
+ * Picking "metric"/"imperial" resets the per-quantity units to that system.
+ */
+export function updateSettings(patch) {
+  const next = { ...settings, ...patch };
+  if (patch.system && UNIT_SYSTEMS[patch.system])
+    Object.assign(next, UNIT_SYSTEMS[patch.system]);
+  if (JSON.stringify(next) === JSON.stringify(settings)) return;
+  settings = next;
+  document.documentElement.lang = settings.lang;
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (_) {}
+  updateState({ units: unitsParam(settings) });
+  window.dispatchEvent(
+    new CustomEvent("settingschange", { detail: getSettings() })
+  );
+}
+
+/**
+ * Apply the units of a restored URL state (back/forward, pasted link).
+ */
+export function applyUnitsParam(value) {
+  const units = fromUnitsParam(value);
+  if (units) updateSettings(units);
+}
+
+// keep the URL in step with the settings from the first load on
+updateState({ units: unitsParam(settings) });
+
+// ---------- Settings panel (header ⚙ button) ----------
+function renderSettingsForm(panel) {
+  const s = settings;
+  const custom = s.system === "custom";
+  const systems = ["metric", "imperial", "custom"]
+    .map(
+      (id) => `
+      <label class="settings-radio">
+        <input type="radio" name="system" value="${id}" ${
+        s.system === id ? "checked" : ""
+      } />
+        ${t(`settings.system.${id}`)}
+      </label>`
+    )
+    .join("");
+  const units = Object.entries(UNIT_CHOICES)
+    .map(
+      ([kind, choices]) => `
+      <label>
+        <span>${t(`settings.${kind}`)}</span>
+        <select name="${kind}" ${custom ? "" : "disabled"}>${choices
+        .map(
+          (u) =>
+            `<option value="${u}" ${
+              s[kind] === u ? "selected" : ""
+            }>${unitLabelOf(kind, u)}</option>`
+        )
+        .join("")}</select>
+      </label>`
+    )
+    .join("");
+  const option = (name, value, label) =>
+    `<option value="${value}" ${
+      s[name] === value ? "selected" : ""
+    }>${label}</option>`;
+
+  panel.innerHTML = `
+    <form class="settings-form">
+      <fieldset>
+        <legend>${t("settings.units")}</legend>
+        <div class="settings-systems">${systems}</div>
+        ${units}
+      </fieldset>
+      <label>
+        <span>${t("settings.clock")}</span>
+        <select name="clock">
+          ${option("clock", "24h", t("settings.clock.24h"))}
+          ${option("clock", "12h", t("settings.clock.12h"))}
+        </select>
+      </label>
+      <label>
+        <span>${t("settings.lang")}</span>
+        <select name="lang">${Object.entries(LANGUAGES)
+          .map(([id, label]) => option("lang", id, label))
+          .join("")}</select>
+      </label>
+      <button type="button" class="settings-close">${t(
+        "settings.close"
+      )}</button>
+    </form>`;
+
+  const form = panel.querySelector("form");
+  form.addEventListener("change", () => {
+    const patch = {
+      system: form.elements.system.value,
+      clock: form.elements.clock.value,
+      lang: form.elements.lang.value,
+    };
+    if (patch.system === "custom") {
+      for (const kind of Object.keys(UNIT_CHOICES))
+        patch[kind] = form.elements[kind].value;
+    }
+    updateSettings(patch);
+  });
+  panel
+    .querySelector(".settings-close")
+    .addEventListener("click", () => (panel.hidden = true));
+}
+
+/**
+ * Wire the header settings button to its dropdown panel.
+ */
+export function bindSettingsPanel() {
+  const btn = document.getElementById("settingsBtn");
+  const panel = document.getElementById("settingsPanel");
+  if (!btn || !panel) return;
+  btn.addEventListener("click", () => {
+    panel.hidden = !panel.hidden;
+    btn.setAttribute("aria-expanded", String(!panel.hidden));
+    if (!panel.hidden) renderSettingsForm(panel);
+  });
+  window.addEventListener("settingschange", () => {
+    if (!panel.hidden) renderSettingsForm(panel);
+  });
+}
@@ -0,0 +1,208 @@
+// sw.js (service worker)
+// Precaches the app shell (HTML, CSS, modules, images, Köppen GeoTIFF) and the
+// CDN libraries, and keeps visited map tiles so the app opens offline.
+// Weather API responses are not handled here: cache.js keeps the last payload
+// per location in IndexedDB and falls back to it when the network is down.
+// Bump VERSION when the file list changes.
+const VERSION = "v10";
+const SHELL_CACHE = `shell-${VERSION}`;
+const LIB_CACHE = `libs-${VERSION}`;
+const TILE_CACHE = "tiles";
+const MAX_TILES = 1000;
+
+const SHELL = [
+  "./",
+  "index.html",
+  "style.css",
+  "manifest.webmanifest",
+  "airquality.js",
+  "alerts.js",
+  "appConfig.js",
+  "autocomplete.js",
+  "cache.js",
+  "chart.js",
+  "comfort.js",
+  "compare.js",
+  "export.js",
+  "favorites.js",
+  "format.js",
+  "geolocate.js",
+  "history.js",
+  "hourlychart.js",
+  "i18n.js",
+  "koppen.js",
+  "map.js",
+  "options.js",
+  "planning.js",
+  "pwa.js",
+  "radar.js",
+  "regionstats.js",
+  "script.js",
+  "selfforecast.js",
+  "settings.js",
+  "urlstate.js",
+  "watches.js",
+  "weatherlayers.js",
+  "providers/index.js",
+  "providers/openweather.js",
+  "providers/openmeteo.js",
+  "providers/fixture.js",
+  "data/koppen_geiger_0p1.tif",
+  "data/fixtures/weather.json",
+  "data/public/image/clearsky.jpg",
+  "data/public/image/cloud.jpg",
+  "data/public/image/rain.jpg",
+  "data/public/image/snow.jpg",
+  "data/public/image/mist.jpg",
+  "data/public/image/sunny.jpg",
+  "data/public/image/icon-192.png",
+  "data/public/image/icon-512.png",
+  "data/public/image/icon-maskable-512.png",
+];
+
+// CDN scripts/styles of index.html (+ the Leaflet marker images)
+const LIBS = [
+  "https://unpkg.com/leaflet@1.9.4/dist/leaflet.css",
+  "https://unpkg.com/leaflet@1.9.4/dist/leaflet.js",
+  "https://unpkg.com/leaflet@1.9.4/dist/images/marker-icon.png",
+  "https://unpkg.com/leaflet@1.9.4/dist/images/marker-icon-2x.png",
+  "https://unpkg.com/leaflet@1.9.4/dist/images/marker-shadow.png",
+  "https://unpkg.com/leaflet@1.9.4/dist/images/layers.png",
+  "https://unpkg.com/leaflet-draw@1.0.4/dist/leaflet.draw.css",
+  "https://unpkg.com/leaflet-draw@1.0.4/dist/leaflet.draw.js",
+  "https://unpkg.com/georaster/dist/georaster.browserify.min.js",
+  "https://unpkg.com/georaster-layer-for-leaflet/dist/georaster-layer-for-leaflet.browserify.min.js",
+];
+
+// base map and radar tiles never change for a URL: cache first
+const STATIC_TILES = [/(^|\.)tile\.openstreetmap\.org$/, /rainviewer\.com$/];
+// weather map tiles change with the weather: network first
+const LIVE_TILES = [/^tile\.openweathermap\.org$/];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    (async () => {
+      const shell = await caches.open(SHELL_CACHE);
+      await shell.addAll(SHELL);
+      // a CDN hiccup must not block the install
+      const libs = await caches.open(LIB_CACHE);
+      await Promise.all(LIBS.map((url) => libs.add(url).catch(() => null)));
+      await self.skipWaiting();
+    })()
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  const keep = [SHELL_CACHE, LIB_CACHE, TILE_CACHE];
+  event.waitUntil(
+    (async () => {
+      for (const name of await caches.keys())
+        if (!keep.includes(name)) await caches.delete(name);
+      await self.clients.claim();
+    })()
+  );
+});
+
+const usable = (res) => res && (res.ok || res.type === "opaque");
+
+// drop the oldest tiles beyond MAX_TILES (keys() is in insertion order)
+async function trimTiles() {
+  const cache = await caches.open(TILE_CACHE);
+  const keys = await cache.keys();
+  for (const req of keys.slice(0, Math.max(0, keys.length - MAX_TILES)))
+    await cache.delete(req);
+}
+
+async function cacheFirst(req, cacheName) {
+  const cache = await caches.open(cacheName);
+  const hit = await cache.match(req);
+  if (hit) return hit;
+  const res = await fetch(req);
+  if (usable(res)) {
+    await cache.put(req, res.clone());
+    if (cacheName === TILE_CACHE) trimTiles();
+  }
+  return res;
+}
+
+async function networkFirst(req, cacheName, fallback) {
+  const cache = await caches.open(cacheName);
+  try {
+    const res = await fetch(req);
+    if (usable(res)) cache.put(req, res.clone());
+    return res;
+  } catch (err) {
+    const hit =
+      (await cache.match(req, { ignoreSearch: req.mode === "navigate" })) ||
+      (fallback && (await cache.match(fallback)));
+    if (hit) return hit;
+    throw err;
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  if (req.method !== "GET") return;
+  const url = new URL(req.url);
+
+  if (STATIC_TILES.some((re) => re.test(url.hostname))) {
+    event.respondWith(cacheFirst(req, TILE_CACHE));
+  } else if (LIVE_TILES.some((re) => re.test(url.hostname))) {
+    event.respondWith(networkFirst(req, TILE_CACHE));
+  } else if (
+    url.origin === self.location.origin &&
+    url.pathname.startsWith("/api/owm-tiles/")
+  ) {
+    // weather tiles through the local proxy (server/server.mjs)
+    event.respondWith(networkFirst(req, TILE_CACHE));
+  } else if (
+    url.origin === self.location.origin &&
+    /\/config\.js$/i.test(url.pathname)
+  ) {
+    // may hold a personal API key: network only, never in CacheStorage
+    // (offline, appConfig.js runs with its defaults)
+    return;
+  } else if (
+    url.origin === self.location.origin &&
+    !url.pathname.startsWith("/api/")
+  ) {
+    // the app itself: fresh when online, precached shell when offline
+    event.respondWith(
+      networkFirst(
+        req,
+        SHELL_CACHE,
+        req.mode === "navigate" ? "index.html" : null
+      )
+    );
+  } else if (
+    url.hostname === "unpkg.com" ||
+    (url.hostname === "openweathermap.org" && url.pathname.startsWith("/img/"))
+  ) {
+    event.respondWith(cacheFirst(req, LIB_CACHE));
+  }
+  // weather APIs: straight to the network (see cache.js)
+});
+
+// watch notifications (watches.js): bring the app to the watched location
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const url = new URL(
+    event.notification.data?.url || "./",
+    self.registration.scope
+  ).href;
+  event.waitUntil(
+    (async () => {
+      const windows = await self.clients.matchAll({
+        type: "window",
+        includeUncontrolled: true,
+      });
+      const client = windows.find((c) =>
+        c.url.startsWith(self.registration.scope)
+      );
+      if (!client) return self.clients.openWindow(url);
+      await client.focus();
+      // only controlled pages can be navigated; the focused one is enough
+      return client.navigate(url).catch(() => null);
+    })()
+  );
+});
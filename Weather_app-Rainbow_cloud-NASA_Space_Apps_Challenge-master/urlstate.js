@@ -0,0 +1,91 @@
+// urlstate.js (ES module)
+// App state in the URL hash so a view can be shared and restored, e.g.
+// #lat=10.8231&lon=106.6297&name=Ho%20Chi%20Minh&country=VN&z=8&panel=hourly&units=metric
+
+const DEFAULTS = {
+  lat: null,
+  lon: null,
+  name: "",
+  country: "",
+  zoom: null,
+  panel: null, // data-target of the open panel: "ten-days", "hourly", ...
+  units: null, // "metric", "imperial" or custom units, see settings.js
+};
+
+// names from a shared link are shown as text; anything that looks like markup
+// or holds control characters is dropped (the place is then geocoded again)
+function plainText(v) {
+  return v && !/[<>\u0000-\u001f\u007f]/.test(v) ? v.slice(0, 120) : "";
+}
+
+function parseNum(v) {
+  if (v === null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * State encoded in location.hash (missing keys get their defaults).
+ */
+export function readState() {
+  const p = new URLSearchParams(location.hash.replace(/^#/, ""));
+  const lat = parseNum(p.get("lat"));
+  const lon = parseNum(p.get("lon"));
+  const valid =
+    lat !== null && lon !== null && Math.abs(lat) <= 90 && Math.abs(lon) <= 180;
+  return {
+    ...DEFAULTS,
+    lat: valid ? lat : null,
+    lon: valid ? lon : null,
+    name: plainText(p.get("name")),
+    country: plainText(p.get("country")),
+    zoom: parseNum(p.get("z")),
+    panel: p.get("panel") || null,
+    units: p.get("units") || DEFAULTS.units,
+  };
+}
+
+function toHash(state) {
+  const p = new URLSearchParams();
+  if (state.lat !== null && state.lon !== null) {
+    p.set("lat", state.lat.toFixed(4));
+    p.set("lon", state.lon.toFixed(4));
+    if (state.name) p.set("name", state.name);
+    if (state.country) p.set("country", state.country);
+  }
+  if (state.zoom !== null) p.set("z", String(Math.round(state.zoom)));
+  if (state.panel) p.set("panel", state.panel);
+  if (state.units) p.set("units", state.units);
+  // URLSearchParams encodes spaces as "+" and commas; keep pasted links readable
+  return "#" + p.toString().replace(/\+/g, "%20").replace(/%2C/g, ",");
+}
+
+/**
+ * Merge patch into the URL state.
+ * push: true adds a history entry (new location, panel), otherwise the current
+ * entry is replaced (map zoom) so back/forward only steps through real views.
+ */
+export function updateState(patch, { push = false } = {}) {
+  const next = { ...readState(), ...patch };
+  const hash = toHash(next);
+  if (hash === location.hash) return;
+  const url = location.pathname + location.search + hash;
+  if (push) history.pushState(null, "", url);
+  else history.replaceState(null, "", url);
+}
+
+/**
+ * Link (path + hash) to a state, e.g. a location opened from a notification.
+ */
+export function stateUrl(state) {
+  return (
+    location.pathname + location.search + toHash({ ...DEFAULTS, ...state })
+  );
+}
+
+/**
+ * Call fn(state) when the user navigates back/forward or edits the hash.
+ */
+export function onStateRestore(fn) {
+  window.addEventListener("popstate", () => fn(readState()));
+}
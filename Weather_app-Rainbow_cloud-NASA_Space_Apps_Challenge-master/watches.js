@@ -0,0 +1,580 @@
+// watches.js (ES module)
+// Local weather watches: threshold rules on saved places ("rain > 5 mm
+// tomorrow", "UV ≥ 8 today", "min temp < 10°C in the next 24 h") kept in
+// localStorage. While the app is open they are checked every 30 minutes
+// against the forecast of the active provider, and a browser notification is
+// raised the first time a rule matches for a given day. Nothing leaves the
+// browser: there is no push server, so closed tabs are not checked.
+import { selectedPlace } from "./script.js";
+import { getForecast10Days, getHourly24 } from "./options.js";
+import { getFavorites, placeLabel } from "./favorites.js";
+import { pinId } from "./compare.js";
+import { stateUrl } from "./urlstate.js";
+import { t } from "./i18n.js";
+import {
+  toBase,
+  unitLabel,
+  formatTemp,
+  formatWind,
+  formatPrecip,
+  formatUvi,
+  formatDate,
+  escapeHtml,
+} from "./format.js";
+
+const WATCHES_KEY = "watches";
+const HISTORY_KEY = "watchHistory";
+const CHECKED_KEY = "watchesCheckedAt";
+const CHECK_EVERY_MS = 30 * 60 * 1000;
+const MAX_HISTORY = 50;
+const ICON = "data/public/image/icon-192.png";
+
+const max = (values) => (values.length ? Math.max(...values) : null);
+const min = (values) => (values.length ? Math.min(...values) : null);
+const defined = (hours, pick) =>
+  hours.map(pick).filter((v) => v !== null && v !== undefined && !isNaN(v));
+
+// What can be watched. kind: format.js unit kind of the threshold (null: no
+// unit conversion); day(d): value of a DailyWeather, hours(h[]): value over
+// the next 24 HourlyWeather entries.
+const METRICS = {
+  rain: {
+    kind: "precip",
+    format: (v) => formatPrecip(v, 1),
+    day: (d) => d.rain,
+    hours: (h) => {
+      const rain = defined(h, (x) => x.rain);
+      return rain.length ? rain.reduce((a, b) => a + b, 0) : null;
+    },
+    op: "gt",
+  },
+  tmin: {
+    kind: "temp",
+    format: (v) => formatTemp(v),
+    day: (d) => d.temp?.min,
+    hours: (h) => min(defined(h, (x) => x.temp)),
+    op: "lt",
+  },
+  tmax: {
+    kind: "temp",
+    format: (v) => formatTemp(v),
+    day: (d) => d.temp?.max,
+    hours: (h) => max(defined(h, (x) => x.temp)),
+    op: "gt",
+  },
+  wind: {
+    kind: "wind",
+    format: (v) => formatWind(v),
+    day: (d) => d.wind_speed,
+    hours: (h) => max(defined(h, (x) => x.wind_speed)),
+    op: "gt",
+  },
+  pop: {
+    kind: null,
+    format: (v) => `${Math.round(v)}%`,
+    day: (d) => (d.pop === undefined ? null : d.pop * 100),
+    hours: (h) => {
+      const pop = max(defined(h, (x) => x.pop));
+      return pop === null ? null : pop * 100;
+    },
+    op: "ge",
+  },
+  uvi: {
+    kind: null,
+    format: (v) => formatUvi(v),
+    day: (d) => d.uvi,
+    hours: (h) => max(defined(h, (x) => x.uvi)),
+    op: "ge",
+  },
+};
+
+// lower bounds of the UV categories of format.js (uviCategory)
+const UV_LEVELS = [3, 6, 8, 11];
+
+const OPS = {
+  gt: [">", (v, x) => v > x],
+  ge: ["≥", (v, x) => v >= x],
+  lt: ["<", (v, x) => v < x],
+  le: ["≤", (v, x) => v <= x],
+};
+
+const SPANS = ["today", "tomorrow", "next24h"];
+
+function load(key) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(key));
+    return Array.isArray(saved) ? saved : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+let watches = load(WATCHES_KEY);
+let triggers = load(HISTORY_KEY);
+let checking = null; // promise of the running check
+
+// persist + tell the open panel to redraw
+function changed() {
+  try {
+    localStorage.setItem(WATCHES_KEY, JSON.stringify(watches));
+    localStorage.setItem(HISTORY_KEY, JSON.stringify(triggers));
+  } catch (_) {}
+  window.dispatchEvent(new CustomEvent("watcheschange"));
+}
+
+export function getWatches() {
+  return watches.slice();
+}
+
+/**
+ * Add a watch: { place: { lat, lon, name, country }, metric, op, value, span }
+ * with value in base units (°C, mm, m/s, %, UV index).
+ */
+export function addWatch({ place, metric, op, value, span }) {
+  const { lat, lon, name, country } = place;
+  const watch = {
+    id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+    place: { lat, lon, name, country: country || "" },
+    metric,
+    op,
+    value,
+    span,
+    enabled: true,
+    last: null, // { at, value, triggered } of the last evaluation
+    notified: null, // occurrence (day) that was already notified
+  };
+  watches.push(watch);
+  changed();
+  return watch;
+}
+
+export function removeWatch(id) {
+  watches = watches.filter((w) => w.id !== id);
+  changed();
+}
+
+export function setWatchEnabled(id, enabled) {
+  const watch = watches.find((w) => w.id === id);
+  if (!watch) return;
+  watch.enabled = enabled;
+  changed();
+}
+
+export function clearWatchHistory() {
+  triggers = [];
+  changed();
+}
+
+/**
+ * "Rain > 5 mm tomorrow", in the current language and units.
+ */
+export function describeWatch(watch) {
+  return t("watches.describe", {
+    metric: t(`watches.metric.${watch.metric}`),
+    op: OPS[watch.op][0],
+    value: METRICS[watch.metric].format(watch.value),
+    span: t(`watches.span.${watch.span}`),
+  });
+}
+
+// YYYY-MM-DD of a unix time; day entries are local noon so UTC is safe
+const dayKey = (dt) => new Date(dt * 1000).toISOString().slice(0, 10);
+
+/**
+ * Value of a watch for the fetched forecast: { value, occurrence } where
+ * occurrence names the day the value is about (one notification per day).
+ */
+function evaluate(watch, days, hours) {
+  const metric = METRICS[watch.metric];
+  if (watch.span === "next24h") {
+    return {
+      value: hours.length ? metric.hours(hours) : null,
+      occurrence: dayKey(Date.now() / 1000),
+    };
+  }
+  const day = days[watch.span === "tomorrow" ? 1 : 0];
+  return {
+    value: day ? metric.day(day) : null,
+    occurrence: day ? dayKey(day.dt) : null,
+  };
+}
+
+// ---------- Notifications ----------
+export function notificationsSupported() {
+  return "Notification" in window;
+}
+
+/**
+ * Ask for permission (must run from a click). Returns the permission.
+ */
+export async function requestNotifications() {
+  if (!notificationsSupported()) return "denied";
+  if (Notification.permission === "default") {
+    try {
+      await Notification.requestPermission();
+    } catch (err) {
+      console.error("Notification permission error:", err);
+    }
+  }
+  window.dispatchEvent(new CustomEvent("watcheschange"));
+  return Notification.permission;
+}
+
+// Through the service worker when there is one (required on Android, and the
+// click then focuses the app, see sw.js); plain Notification otherwise.
+async function notify(watch, value) {
+  if (!notificationsSupported() || Notification.permission !== "granted")
+    return;
+  const { lat, lon, name, country } = watch.place;
+  const url = stateUrl({ lat, lon, name, country });
+  const title = t("watches.notifyTitle", { place: placeLabel(watch.place) });
+  const options = {
+    body: t("watches.notifyBody", {
+      rule: describeWatch(watch),
+      value: METRICS[watch.metric].format(value),
+    }),
+    icon: ICON,
+    tag: `watch-${watch.id}`,
+    data: { url },
+  };
+  try {
+    const reg =
+      "serviceWorker" in navigator &&
+      (await navigator.serviceWorker.getRegistration());
+    if (reg) {
+      await reg.showNotification(title, options);
+      return;
+    }
+    const n = new Notification(title, options);
+    n.onclick = () => {
+      window.focus();
+      location.assign(url);
+      n.close();
+    };
+  } catch (err) {
+    console.error("Notification error:", err);
+  }
+}
+
+// ---------- Checking ----------
+async function fetchPlace(place, watched) {
+  const needDays = watched.some((w) => w.span !== "next24h");
+  const needHours = watched.some((w) => w.span === "next24h");
+  const [days, hours] = await Promise.all([
+    needDays ? getForecast10Days(place.lat, place.lon, 2) : [],
+    needHours ? getHourly24(place.lat, place.lon) : [],
+  ]);
+  return { days, hours };
+}
+
+async function runCheck() {
+  const active = watches.filter((w) => w.enabled);
+  // one forecast request per place
+  const byPlace = new Map();
+  for (const w of active) {
+    const id = pinId(w.place.lat, w.place.lon);
+    if (!byPlace.has(id)) byPlace.set(id, []);
+    byPlace.get(id).push(w);
+  }
+
+  const at = Date.now();
+  for (const watched of byPlace.values()) {
+    let data = null;
+    try {
+      data = await fetchPlace(watched[0].place, watched);
+    } catch (err) {
+      console.error("Watch check error:", err);
+    }
+    for (const watch of watched) {
+      if (!data) {
+        watch.last = { at, value: null, triggered: false, error: true };
+        continue;
+      }
+      const { value, occurrence } = evaluate(watch, data.days, data.hours);
+      const triggered = value !== null && OPS[watch.op][1](value, watch.value);
+      watch.last = { at, value, triggered };
+      if (!triggered || watch.notified === occurrence) continue;
+      watch.notified = occurrence;
+      const { id, place, metric, op, span } = watch;
+      triggers = [
+        { at, id, place, metric, op, threshold: watch.value, span, value },
+        ...triggers,
+      ].slice(0, MAX_HISTORY);
+      await notify(watch, value);
+    }
+  }
+  try {
+    localStorage.setItem(CHECKED_KEY, String(at));
+  } catch (_) {}
+  changed();
+}
+
+/**
+ * Evaluate all enabled watches now (a running check is reused).
+ */
+export function checkWatches() {
+  if (!checking)
+    checking = runCheck().finally(() => {
+      checking = null;
+    });
+  return checking;
+}
+
+function lastChecked() {
+  return Number(localStorage.getItem(CHECKED_KEY)) || 0;
+}
+
+// the interval only looks at the clock, so a tab that slept checks on wake
+function checkIfDue() {
+  if (!watches.some((w) => w.enabled) || !navigator.onLine) return;
+  if (Date.now() - lastChecked() >= CHECK_EVERY_MS) checkWatches();
+}
+
+/**
+ * Start the periodic check (called once at startup).
+ */
+export function bindWatches() {
+  checkIfDue();
+  setInterval(checkIfDue, 60 * 1000);
+  window.addEventListener("online", checkIfDue);
+  document.addEventListener("visibilitychange", checkIfDue);
+}
+
+// ---------- Panel ----------
+// current place + favorites, without duplicates
+function watchablePlaces() {
+  const places = [];
+  const seen = new Set();
+  const current = selectedPlace();
+  for (const p of [current, ...getFavorites()]) {
+    if (!p) continue;
+    const id = pinId(p.lat, p.lon);
+    if (seen.has(id)) continue;
+    seen.add(id);
+    places.push(p);
+  }
+  return places;
+}
+
+function renderPermission(box) {
+  if (!notificationsSupported()) {
+    box.textContent = t("watches.unsupported");
+    return;
+  }
+  const permission = Notification.permission;
+  box.textContent = t(`watches.permission.${permission}`);
+  if (permission === "default") {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "watches-enable";
+    btn.textContent = t("watches.enable");
+    btn.addEventListener("click", requestNotifications);
+    box.append(" ", btn);
+  }
+}
+
+// threshold control: UV categories for the UV index, a number otherwise
+function valueControl(metricId) {
+  const metric = METRICS[metricId];
+  if (metricId === "uvi") {
+    return `<select name="value" required>${UV_LEVELS.map(
+      (v) =>
+        `<option value="${v}" ${v === 8 ? "selected" : ""}>${formatUvi(
+          v
+        )}</option>`
+    ).join("")}</select>`;
+  }
+  const unit = metric.kind ? unitLabel(metric.kind) : "%";
+  const step = metricId === "pop" ? 5 : metricId === "rain" ? 0.5 : 1;
+  return `<input name="value" type="number" step="${step}" required
+      aria-label="${t("watches.threshold")}" /> <span>${unit}</span>`;
+}
+
+function renderForm(form) {
+  const places = watchablePlaces();
+  if (!places.length) {
+    form.innerHTML = `<p>${t("watches.noPlaces")}</p>`;
+    return;
+  }
+  const options = (entries) =>
+    entries.map(([v, label]) => `<option value="${v}">${label}</option>`);
+  form.innerHTML = `
+    <label>${t("watches.place")}
+      <select name="place">${options(
+        places.map((p, i) => [i, escapeHtml(placeLabel(p))])
+      ).join("")}</select>
+    </label>
+    <label>${t("watches.metric")}
+      <select name="metric">${options(
+        Object.keys(METRICS).map((m) => [m, t(`watches.metric.${m}`)])
+      ).join("")}</select>
+    </label>
+    <select name="op" aria-label="${t("watches.op")}">${options(
+    Object.entries(OPS).map(([op, [symbol]]) => [op, symbol])
+  ).join("")}</select>
+    <span class="watches-value"></span>
+    <label>${t("watches.when")}
+      <select name="span">${options(
+        SPANS.map((s) => [s, t(`watches.span.${s}`)])
+      ).join("")}</select>
+    </label>
+    <button type="submit" class="watches-add">${t("watches.add")}</button>`;
+
+  const metricSelect = form.elements.metric;
+  const setMetric = () => {
+    form.querySelector(".watches-value").innerHTML = valueControl(
+      metricSelect.value
+    );
+    form.elements.op.value = METRICS[metricSelect.value].op;
+  };
+  metricSelect.addEventListener("change", setMetric);
+  setMetric();
+
+  form.onsubmit = async (e) => {
+    e.preventDefault();
+    const metric = metricSelect.value;
+    const raw = Number(form.elements.value.value);
+    if (!Number.isFinite(raw)) return;
+    const { kind } = METRICS[metric];
+    addWatch({
+      place: places[Number(form.elements.place.value)],
+      metric,
+      op: form.elements.op.value,
+      value: kind ? toBase(kind, raw) : raw,
+      span: form.elements.span.value,
+    });
+    await requestNotifications();
+    checkWatches();
+  };
+}
+
+function lastText(watch) {
+  const { last } = watch;
+  if (!last) return t("watches.never");
+  const time = formatDate(last.at / 1000, {
+    day: "2-digit",
+    month: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+  if (last.error) return t("watches.lastError", { time });
+  if (last.value === null) return t("watches.lastNoData", { time });
+  return t(last.triggered ? "watches.lastTriggered" : "watches.lastOk", {
+    time,
+    value: METRICS[watch.metric].format(last.value),
+  });
+}
+
+function renderList(list) {
+  if (!watches.length) {
+    list.innerHTML = `<p>${t("watches.empty")}</p>`;
+    return;
+  }
+  list.innerHTML = `
+    <ul class="watches-list">${watches
+      .map(
+        (w) => `
+      <li class="${w.last?.triggered ? "is-triggered" : ""}">
+        <label>
+          <input type="checkbox" data-toggle="${w.id}" ${
+          w.enabled ? "checked" : ""
+        } />
+          <strong>${escapeHtml(placeLabel(w.place))}</strong>: ${describeWatch(
+          w
+        )}
+        </label>
+        <span class="watches-last">${lastText(w)}</span>
+        <button type="button" class="watches-remove" data-remove="${
+          w.id
+        }" aria-label="${t("watches.remove")}">×</button>
+      </li>`
+      )
+      .join("")}
+    </ul>
+    <button type="button" class="watches-check">${t(
+      "watches.checkNow"
+    )}</button>`;
+
+  list
+    .querySelectorAll("[data-toggle]")
+    .forEach((box) =>
+      box.addEventListener("change", () =>
+        setWatchEnabled(box.dataset.toggle, box.checked)
+      )
+    );
+  list
+    .querySelectorAll("[data-remove]")
+    .forEach((btn) =>
+      btn.addEventListener("click", () => removeWatch(btn.dataset.remove))
+    );
+  const check = list.querySelector(".watches-check");
+  check.addEventListener("click", async () => {
+    check.disabled = true;
+    check.textContent = t("common.loading");
+    await checkWatches();
+  });
+}
+
+function renderTriggers(box) {
+  if (!triggers.length) {
+    box.innerHTML = `<p>${t("watches.noHistory")}</p>`;
+    return;
+  }
+  box.innerHTML = `
+    <ul class="watches-history">${triggers
+      .map((h) => {
+        const time = formatDate(h.at / 1000, {
+          weekday: "short",
+          day: "2-digit",
+          month: "2-digit",
+          hour: "2-digit",
+          minute: "2-digit",
+        });
+        const rule = describeWatch({ ...h, value: h.threshold });
+        const value = METRICS[h.metric].format(h.value);
+        return `<li><time>${time}</time> <strong>${escapeHtml(
+          placeLabel(h.place)
+        )}</strong>: ${rule} (${value})</li>`;
+      })
+      .join("")}
+    </ul>
+    <button type="button" class="watches-clear">${t(
+      "watches.clearHistory"
+    )}</button>`;
+  box
+    .querySelector(".watches-clear")
+    .addEventListener("click", clearWatchHistory);
+}
+
+function renderState() {
+  const permission = document.getElementById("watchesPermission");
+  const list = document.getElementById("watchesList");
+  const triggersBox = document.getElementById("watchesHistory");
+  if (permission) renderPermission(permission);
+  if (list) renderList(list);
+  if (triggersBox) renderTriggers(triggersBox);
+}
+
+/**
+ * Render the watches panel (#watchesPanel): new watch form, watches with
+ * their last evaluation, trigger history.
+ */
+export async function renderWatches() {
+  const section = document.getElementById("watchesPanel");
+  const form = document.getElementById("watchesForm");
+  if (!section || !form) return;
+  section.hidden = false;
+  renderForm(form);
+  renderState();
+}
+
+// keep an open panel in sync with checks and edits
+window.addEventListener("watcheschange", () => {
+  const section = document.getElementById("watchesPanel");
+  if (section && !section.hidden) renderState();
+});
+window.addEventListener("favoriteschange", () => {
+  const section = document.getElementById("watchesPanel");
+  const form = document.getElementById("watchesForm");
+  if (section && !section.hidden && form) renderForm(form);
+});
@@ -0,0 +1,219 @@
+// weatherlayers.js (ES module)
+// Weather map overlays: OpenWeather map tiles (precipitation, clouds,
+// temperature, wind, pressure), the air quality grid and the Köppen raster in
+// a Leaflet layers control. Every active overlay gets an opacity slider, the tile layers also a
+// color legend. The choice is remembered in localStorage.
+import { apiKey, weatherTileUrl, weatherTileUrls } from "./appConfig.js";
+import { t } from "./i18n.js";
+import { formatTemp, formatWind, formatPrecip } from "./format.js";
+
+const L = window.L;
+const STORAGE_KEY = "mapLayers";
+
+// id → OpenWeather layer name, legend stops [value in base units, color] and
+// the label formatter (palettes follow the OpenWeather map 1.0 docs)
+export const WEATHER_LAYERS = {
+  precipitation: {
+    owm: "precipitation_new",
+    stops: [
+      [0, "rgba(120, 120, 190, 0)"],
+      [0.5, "#7878be"],
+      [1, "#6e6ecd"],
+      [10, "#5050e1"],
+      [140, "#1414ff"],
+    ],
+    format: (v) => `${formatPrecip(v)}/h`,
+  },
+  clouds: {
+    owm: "clouds_new",
+    stops: [
+      [0, "rgba(240, 240, 255, 0)"],
+      [50, "#e4e4ee"],
+      [100, "#a9a9b4"],
+    ],
+    format: (v) => `${v}%`,
+  },
+  temp: {
+    owm: "temp_new",
+    stops: [
+      [-40, "#9f55b5"],
+      [-20, "#8257db"],
+      [-10, "#208cec"],
+      [0, "#20c4e8"],
+      [10, "#23dddd"],
+      [20, "#c2ff28"],
+      [25, "#fff028"],
+      [30, "#ffc228"],
+      [40, "#fc8014"],
+    ],
+    format: (v) => formatTemp(v),
+  },
+  wind: {
+    owm: "wind_new",
+    stops: [
+      [1, "rgba(255, 255, 255, 0)"],
+      [5, "rgba(238, 206, 206, 0.4)"],
+      [15, "rgba(179, 100, 188, 0.7)"],
+      [25, "rgba(63, 33, 59, 0.8)"],
+      [50, "rgba(116, 76, 172, 0.9)"],
+      [100, "#4600af"],
+    ],
+    format: (v) => formatWind(v),
+  },
+  pressure: {
+    owm: "pressure_new",
+    stops: [
+      [950, "#00aaff"],
+      [980, "#4bd0d6"],
+      [1000, "#8de7c7"],
+      [1010, "#b0f720"],
+      [1020, "#f0b800"],
+      [1040, "#fb5515"],
+      [1060, "#f3363b"],
+    ],
+    format: (v) => `${v} hPa`,
+  },
+};
+
+function loadPrefs() {
+  try {
+    const p = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    return { active: p.active || ["koppen"], opacity: p.opacity || {} };
+  } catch (_) {
+    return { active: ["koppen"], opacity: {} };
+  }
+}
+
+function savePrefs(prefs) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(prefs));
+  } catch (_) {}
+}
+
+// the default OpenWeather URL needs a key; a configured tile server may not
+function tileTemplate(id) {
+  const url = weatherTileUrls[id] || weatherTileUrl;
+  return url.includes("{apiKey}") && !apiKey ? null : url;
+}
+
+function legendHtml(def) {
+  const { stops, format } = def;
+  const last = stops.length - 1;
+  const gradient = stops
+    .map(([, color], i) => `${color} ${Math.round((i / last) * 100)}%`)
+    .join(", ");
+  const labels = [stops[0], stops[Math.round(last / 2)], stops[last]]
+    .map(([v]) => `<span>${format(v)}</span>`)
+    .join("");
+  return `
+    <div class="wl-gradient" style="background: linear-gradient(to right, ${gradient})"></div>
+    <div class="wl-labels">${labels}</div>`;
+}
+
+/**
+ * Add the layers control and the opacity/legend box to map.
+ * Returns { addOverlay(id, layer, legend) } for layers created elsewhere
+ * (Köppen raster, air quality): the layer is listed in the control and shown
+ * if it was active last time; legend: { stops, format } like WEATHER_LAYERS.
+ */
+export function createWeatherLayers(map) {
+  const prefs = loadPrefs();
+  const overlays = new Map(); // id → layer
+  const legends = new Map(); // id → legend of layers added by addOverlay
+  const control = L.control
+    .layers(null, null, { position: "topright", collapsed: true })
+    .addTo(map);
+
+  function addOverlay(id, layer, legend) {
+    overlays.set(id, layer);
+    if (legend) legends.set(id, legend);
+    if (prefs.opacity[id] !== undefined) layer.setOpacity(prefs.opacity[id]);
+    control.addOverlay(layer, t(`layers.${id}`));
+    if (prefs.active.includes(id)) layer.addTo(map);
+    render();
+  }
+
+  // opacity sliders + legends of the overlays on the map
+  const box = L.control({ position: "bottomleft" });
+  let boxDiv = null;
+  box.onAdd = function () {
+    boxDiv = L.DomUtil.create("div", "legend weather-legend");
+    boxDiv.addEventListener("input", (e) => {
+      const id = e.target.dataset.opacity;
+      if (!id) return;
+      const value = Number(e.target.value) / 100;
+      overlays.get(id)?.setOpacity(value);
+      prefs.opacity[id] = value;
+      savePrefs(prefs);
+    });
+    L.DomEvent.disableClickPropagation(boxDiv);
+    L.DomEvent.disableScrollPropagation(boxDiv);
+    return boxDiv;
+  };
+  box.addTo(map);
+
+  function render() {
+    if (!boxDiv) return;
+    const active = [...overlays].filter(([, layer]) => map.hasLayer(layer));
+    boxDiv.hidden = !active.length;
+    boxDiv.innerHTML = active
+      .map(([id, layer]) => {
+        const name = t(`layers.${id}`);
+        const opacity = Math.round((layer.options.opacity ?? 1) * 100);
+        const legend = WEATHER_LAYERS[id] || legends.get(id);
+        return `
+        <div class="wl-item">
+          <label class="wl-head">
+            <b>${name}</b>
+            <input type="range" min="0" max="100" step="5" value="${opacity}"
+              data-opacity="${id}" title="${t("layers.opacity")}"
+              aria-label="${t("layers.opacityOf", { name })}" />
+          </label>
+          ${legend ? legendHtml(legend) : ""}
+        </div>`;
+      })
+      .join("");
+  }
+
+  // toggled in the control (also fired when addOverlay shows a layer; ids not
+  // registered yet, like the Köppen raster while it loads, keep their state)
+  const sync = () => {
+    prefs.active = [
+      ...prefs.active.filter((id) => !overlays.has(id)),
+      ...[...overlays]
+        .filter(([, layer]) => map.hasLayer(layer))
+        .map(([id]) => id),
+    ];
+    savePrefs(prefs);
+    render();
+  };
+  map.on("overlayadd overlayremove", sync);
+
+  for (const [id, def] of Object.entries(WEATHER_LAYERS)) {
+    const url = tileTemplate(id);
+    if (!url) continue;
+    addOverlay(
+      id,
+      L.tileLayer(url, {
+        layer: def.owm, // {layer} and {apiKey} in the template
+        apiKey,
+        opacity: 0.7,
+        zIndex: 5,
+        maxZoom: 19,
+        attribution: "Weather maps © OpenWeather",
+        errorTileUrl: "data:image/gif;base64,R0lGODlhAQABAAAAACw=",
+      })
+    );
+  }
+
+  // names and legend units follow the settings
+  window.addEventListener("settingschange", () => {
+    for (const [id, layer] of overlays) {
+      control.removeLayer(layer);
+      control.addOverlay(layer, t(`layers.${id}`));
+    }
+    render();
+  });
+
+  return { addOverlay };
+}